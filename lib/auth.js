@@ -0,0 +1,145 @@
+// # Authentication strategies #
+//
+// Every request `JiraApi` sends is routed through one of the strategies
+// below. Pick one with the `auth` option of the `JiraApi` constructor:
+//
+//     var jira = new JiraApi('https', host, port, user, password, '2', false, {
+//         auth: { type: 'bearer', token: personalAccessToken }
+//     });
+//
+// *  `session`: the default. Posts username and password to
+//    `rest/auth/1/session` once and sends the session cookie afterwards.
+// *  `basic`: HTTP Basic with the constructor's username and password, or
+//    with `username` and `password` given in the option.
+// *  `token`: an Atlassian API token, sent as HTTP Basic with `username`
+//    (usually the account email) and `token`.
+// *  `bearer`: a personal access token sent as `Authorization: Bearer`.
+// *  `oauth`: OAuth 1.0a requests signed with RSA-SHA1. Takes
+//    `consumer_key`, `private_key`, `token` and `token_secret`.
+//
+// Any other object with a `sign` method is used as the strategy itself.
+// A strategy has these methods:
+//
+// *  `sign(jira, options)`: required, adds the credentials to the `request`
+//    options
+// *  `authenticate(jira, callback)`: optional, called before every request,
+//    calls back once requests can be signed; strategies without it can
+//    always sign
+// *  `expire(jira, sessionCount)`: optional, called when JIRA answers 401.
+//    Strategies that have it get one more `authenticate` and the request is
+//    replayed.
+
+// ## Session cookie ##
+var SessionAuth = exports.SessionAuth = function() {};
+
+(function() {
+    this.authenticate = function(jira, callback) {
+        jira.ensureLogin(callback);
+    };
+
+    this.sign = function(jira, options) {
+        options.headers.Cookie = jira.cookies.join(';');
+    };
+
+    // Only drop the session if no one has replaced it since the rejected
+    // request went out.
+    this.expire = function(jira, sessionCount) {
+        if (sessionCount === jira.sessionCount) jira.loggedIn = false;
+    };
+}).call(SessionAuth.prototype);
+
+// ## HTTP Basic, also used for API tokens ##
+var BasicAuth = exports.BasicAuth = function(username, password) {
+    this.username = username;
+    this.password = password;
+};
+
+(function() {
+    this.authenticate = function(jira, callback) {
+        callback(null);
+    };
+
+    this.sign = function(jira, options) {
+        options.auth = {
+            user: this.username,
+            pass: this.password,
+            sendImmediately: true
+        };
+    };
+}).call(BasicAuth.prototype);
+
+// ## Bearer token, used for personal access tokens ##
+var BearerAuth = exports.BearerAuth = function(token) {
+    this.token = token;
+};
+
+(function() {
+    this.authenticate = function(jira, callback) {
+        callback(null);
+    };
+
+    this.sign = function(jira, options) {
+        options.headers.Authorization = 'Bearer ' + this.token;
+    };
+}).call(BearerAuth.prototype);
+
+// ## OAuth 1.0a with RSA-SHA1 signatures ##
+var OAuth = exports.OAuth = function(config) {
+    this.consumerKey = config.consumer_key;
+    this.privateKey = config.private_key;
+    this.token = config.token;
+    this.tokenSecret = config.token_secret;
+};
+
+(function() {
+    this.authenticate = function(jira, callback) {
+        callback(null);
+    };
+
+    this.sign = function(jira, options) {
+        options.oauth = {
+            consumer_key: this.consumerKey,
+            private_key: this.privateKey,
+            token: this.token,
+            token_secret: this.tokenSecret,
+            signature_method: 'RSA-SHA1'
+        };
+    };
+}).call(OAuth.prototype);
+
+// ## Build a strategy from the `auth` option ##
+// ### Takes ###
+//
+// *  config: the `auth` option, a type name or an object with a `type`
+// *  jira: the `JiraApi` the strategy is for
+//
+// ### Returns ###
+//
+// *  the strategy
+exports.create = function(config, jira) {
+    if (config == null) config = 'session';
+    if (typeof config === 'string') config = { type: config };
+    if (typeof config.sign === 'function') {
+        if (typeof config.authenticate !== 'function') {
+            config.authenticate = function(jira, callback) {
+                callback(null);
+            };
+        }
+        return config;
+    }
+
+    switch (config.type) {
+        case 'session':
+            return new SessionAuth();
+        case 'basic':
+            return new BasicAuth(config.username || jira.username, config.password || jira.password);
+        case 'token':
+            return new BasicAuth(config.username || jira.username, config.token);
+        case 'bearer':
+            return new BearerAuth(config.token);
+        case 'oauth':
+            return new OAuth(config);
+    }
+
+    throw new Error('Unknown JIRA authentication type: ' + config.type);
+};
@@ -0,0 +1,125 @@
+// # JiraError #
+//
+// Every error `JiraApi` hands to a callback, or rejects a promise with, is a
+// `JiraError`. Besides the message it carries:
+//
+// *  statusCode: HTTP status JIRA answered with, if it answered
+// *  method, url: the request that failed
+// *  errorMessages: array of JIRA's general error messages
+// *  errors: object of JIRA's per-field errors, keyed by field id
+// *  category: one of the categories below, to branch on
+// *  code, cause: for network errors, the error code (`ECONNREFUSED`,
+//    `ETIMEDOUT`, ...) and the original error
+//
+// Callers usually want something like:
+//
+//     jira.addNewIssue(issue, function(error, created) {
+//         if (error && error.category === JiraError.VALIDATION) {
+//             console.log(error.errors);
+//         }
+//     });
+var util = require('util');
+
+var JiraError = exports.JiraError = function(message, details) {
+    Error.call(this);
+    if (Error.captureStackTrace) Error.captureStackTrace(this, JiraError);
+
+    details = details || {};
+    this.name = 'JiraError';
+    this.message = message;
+    this.statusCode = details.statusCode;
+    this.method = details.method;
+    this.url = details.url;
+    this.errorMessages = details.errorMessages || [];
+    this.errors = details.errors || {};
+    this.category = details.category || JiraError.categorize(details.statusCode);
+};
+
+util.inherits(JiraError, Error);
+
+// ## Categories ##
+JiraError.AUTH = 'auth';
+JiraError.PERMISSION = 'permission';
+JiraError.NOT_FOUND = 'not-found';
+JiraError.VALIDATION = 'validation';
+JiraError.RATE_LIMIT = 'rate-limit';
+JiraError.SERVER = 'server';
+JiraError.NETWORK = 'network';
+JiraError.UNKNOWN = 'unknown';
+
+// ## Find the category for an HTTP status ##
+// ### Takes ###
+//
+// *  statusCode: the HTTP status
+//
+// ### Returns ###
+//
+// *  the category
+JiraError.categorize = function(statusCode) {
+    if (statusCode === 401) return JiraError.AUTH;
+    if (statusCode === 403) return JiraError.PERMISSION;
+    if (statusCode === 404) return JiraError.NOT_FOUND;
+    if (statusCode === 400 || statusCode === 409 || statusCode === 422) return JiraError.VALIDATION;
+    if (statusCode === 429) return JiraError.RATE_LIMIT;
+    if (statusCode >= 500) return JiraError.SERVER;
+    return JiraError.UNKNOWN;
+};
+
+// ## Build an error from a JIRA response ##
+// ### Takes ###
+//
+// *  options: the `request` options of the failed request
+// *  response: the response JIRA sent
+// *  body: the response body, parsed or not
+// *  message: what went wrong, from the caller's point of view
+//
+// ### Returns ###
+//
+// *  the `JiraError`, with JIRA's own messages appended to `message`
+JiraError.fromResponse = function(options, response, body, message) {
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch (e) {
+            body = null;
+        }
+    }
+    body = body || {};
+
+    var errorMessages = body.errorMessages || [],
+        errors = body.errors || {},
+        reasons = errorMessages.slice();
+
+    for (var field in errors) {
+        reasons.push(field + ': ' + errors[field]);
+    }
+    if (reasons.length > 0) message += ' ' + reasons.join('; ');
+
+    return new JiraError(message, {
+        statusCode: response.statusCode,
+        method: options.method,
+        url: options.uri,
+        errorMessages: errorMessages,
+        errors: errors
+    });
+};
+
+// ## Build an error for a request that never got a response ##
+// ### Takes ###
+//
+// *  options: the `request` options of the failed request
+// *  error: the error `request` reported, e.g. `ECONNREFUSED` or `ETIMEDOUT`
+//
+// ### Returns ###
+//
+// *  the `JiraError`, with the original error as `cause`
+JiraError.fromTransportError = function(options, error) {
+    var jiraError = new JiraError('Unable to reach JIRA: ' + error.message, {
+        method: options.method,
+        url: options.uri,
+        category: JiraError.NETWORK
+    });
+    jiraError.code = error.code;
+    jiraError.cause = error;
+    return jiraError;
+};
@@ -0,0 +1,153 @@
+// # Field registry #
+//
+// Maps field names, like `Story Points` or `Sprint`, to the ids JIRA wants,
+// like `customfield_10104`, and back. Custom field ids differ between JIRA
+// instances, so `JiraApi` fetches the fields once and keeps a registry:
+//
+//     jira.addNewIssue({
+//         fields: {
+//             project: { key: 'ABC' },
+//             summary: 'Estimate me',
+//             issuetype: { name: 'Story' },
+//             'Story Points': 3
+//         }
+//     }, callback);
+//
+// Ids are left as they are. Names are matched ignoring case; a name that
+// belongs to more than one field has to be given as an id.
+var JiraError = require('./error').JiraError;
+
+// ## System field ids ##
+// Every JIRA instance has these, under these ids, so they are known to be
+// ids without asking JIRA.
+var systemFields = [
+    'aggregateprogress', 'aggregatetimeestimate', 'aggregatetimeoriginalestimate',
+    'aggregatetimespent', 'assignee', 'attachment', 'comment', 'components',
+    'created', 'creator', 'description', 'duedate', 'environment', 'fixVersions',
+    'issuekey', 'issuelinks', 'issuetype', 'labels', 'lastViewed', 'parent',
+    'priority', 'progress', 'project', 'reporter', 'resolution', 'resolutiondate',
+    'security', 'status', 'subtasks', 'summary', 'thumbnail', 'timeestimate',
+    'timeoriginalestimate', 'timespent', 'timetracking', 'updated', 'versions',
+    'votes', 'watches', 'worklog', 'workratio'
+];
+
+// ## Decide whether keys need the registry ##
+// ### Takes ###
+//
+// *  keys: array of field ids or names
+//
+// ### Returns ###
+//
+// *  `boolean` true when some key isn't known to be an id
+//
+// System field ids and `customfield_<n>` are ids; JQL field selectors like
+// `*all` or `-comment` are left alone too. Anything else, like `sprint`,
+// may be a name and is looked up, so a key translates the same whatever
+// keys come with it.
+exports.needsRegistry = function(keys) {
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        if (systemFields.indexOf(key) !== -1 || /^customfield_\d+$/.test(key) || /^[*-]/.test(key)) continue;
+        return true;
+    }
+    return false;
+};
+
+var FieldRegistry = exports.FieldRegistry = function(fields) {
+    this.fields = fields;
+    this.byId = {};
+    this.byName = {};
+
+    for (var i = 0; i < fields.length; i++) {
+        var field = fields[i],
+            name = field.name.toLowerCase();
+        this.byId[field.id] = field;
+        this.byName[name] = (this.byName[name] || []).concat(field);
+    }
+};
+
+(function() {
+    // ## Find a field ##
+    // ### Takes ###
+    //
+    // *  nameOrId: id or name of the field
+    //
+    // ### Returns ###
+    //
+    // *  the field as listed by `listFields`, null when there is none;
+    //    throws a `validation` `JiraError` for a name shared by fields
+    this.field = function(nameOrId) {
+        if (this.byId[nameOrId]) return this.byId[nameOrId];
+
+        var matches = this.byName[String(nameOrId).toLowerCase()] || [];
+        if (matches.length > 1) {
+            throw new JiraError('Field name ' + nameOrId + ' is ambiguous, use one of ' + matches.map(function(field) {
+                return field.id;
+            }).join(', ') + '.', { category: JiraError.VALIDATION });
+        }
+        return matches[0] || null;
+    };
+
+    // ## Translate a name to an id ##
+    // Unknown names are returned as they are, for JIRA to report.
+    this.idFor = function(nameOrId) {
+        var field = this.field(nameOrId);
+        return field ? field.id : nameOrId;
+    };
+
+    // ## Translate an id to a name ##
+    this.nameFor = function(id) {
+        var field = this.byId[id];
+        return field ? field.name : id;
+    };
+
+    // ## Find a custom field by its type ##
+    // ### Takes ###
+    //
+    // *  type: the custom field type, e.g.
+    //    `com.pyxis.greenhopper.jira:gh-epic-link`
+    //
+    // ### Returns ###
+    //
+    // *  the first field of that type, null when there is none
+    this.customFieldOfType = function(type) {
+        for (var i = 0; i < this.fields.length; i++) {
+            var schema = this.fields[i].schema;
+            if (schema && schema.custom === type) return this.fields[i];
+        }
+        return null;
+    };
+
+    // ## Translate the keys of an object ##
+    // ### Takes ###
+    //
+    // *  object: keyed by field names or ids
+    //
+    // ### Returns ###
+    //
+    // *  a copy keyed by ids
+    this.translateKeys = function(object) {
+        if (!object) return object;
+
+        var translated = {};
+        for (var key in object) translated[this.idFor(key)] = object[key];
+        return translated;
+    };
+
+    // ## Translate an issue create or update payload ##
+    // ### Takes ###
+    //
+    // *  issue: an object with `fields` and `update` keyed by names or ids
+    //
+    // ### Returns ###
+    //
+    // *  a copy with both keyed by ids
+    this.translateIssue = function(issue) {
+        var translated = {};
+        for (var key in issue) translated[key] = issue[key];
+
+        if (issue.fields) translated.fields = this.translateKeys(issue.fields);
+        if (issue.update) translated.update = this.translateKeys(issue.update);
+        return translated;
+    };
+}).call(FieldRegistry.prototype);
@@ -0,0 +1,164 @@
+// # Issue graph #
+//
+// The issues reachable from one issue through links, subtasks and epics, as
+// `JiraApi.getIssueGraph` collects them:
+//
+//     jira.getIssueGraph('ABC-1', { linkTypes: ['Blocks'] }, function(error, graph) {
+//         fs.writeFileSync('blockers.dot', graph.toDot());
+//     });
+//
+// Edges point the way the link reads: for `ABC-1 blocks ABC-2` the edge goes
+// from `ABC-1` to `ABC-2`, labelled `blocks`. Subtask edges go from the
+// parent, epic edges from the epic.
+
+// ## Quote a DOT identifier ##
+var dotQuote = function(text) {
+    return '"' + String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+};
+
+var IssueGraph = exports.IssueGraph = function(root) {
+    this.root = root;
+    this.nodes = {};
+    this.edges = [];
+    this.edgeKeys = {};
+    this.cycles = [];
+};
+
+(function() {
+    // ## Add an issue ##
+    // ### Takes ###
+    //
+    // *  key: key of the issue
+    // *  issue: optional issue as JIRA returns it, for its summary, status and
+    //    type
+    // *  depth: links between the root and the issue
+    //
+    // ### Returns ###
+    //
+    // *  the node, `{ key, summary, status, issuetype, depth }`; adding an
+    //    issue twice fills in what was missing and keeps the lower depth
+    this.addNode = function(key, issue, depth) {
+        var node = this.nodes[key];
+        if (!node) {
+            node = this.nodes[key] = { key: key, depth: depth };
+        }
+        if (depth < node.depth) node.depth = depth;
+
+        var fields = issue && issue.fields;
+        if (fields) {
+            if (fields.summary != null) node.summary = fields.summary;
+            if (fields.status) node.status = fields.status.name;
+            if (fields.issuetype) node.issuetype = fields.issuetype.name;
+        }
+        return node;
+    };
+
+    // ## Add an edge ##
+    // ### Takes ###
+    //
+    // *  from, to: keys of the issues
+    // *  type: `link`, `subtask` or `epic`
+    // *  label: how the edge reads, e.g. `blocks`
+    //
+    // ### Returns ###
+    //
+    // *  `boolean` false when the edge was already there
+    this.addEdge = function(from, to, type, label) {
+        var edgeKey = from + ' ' + to + ' ' + type + ' ' + label;
+        if (this.edgeKeys[edgeKey]) return false;
+
+        this.edgeKeys[edgeKey] = true;
+        this.edges.push({ from: from, to: to, type: type, label: label });
+        return true;
+    };
+
+    // ## Find cycles ##
+    // ### Returns ###
+    //
+    // *  array of cycles, each an array of issue keys starting and ending
+    //    with the same issue; also kept as `cycles`
+    //
+    // Every edge that leads back to an issue on the current path closes one
+    // cycle, so each cycle is found once, though cycles sharing edges may
+    // not all be listed.
+    this.findCycles = function() {
+        var outgoing = {},
+            state = {},
+            path = [],
+            cycles = [];
+
+        this.edges.forEach(function(edge) {
+            (outgoing[edge.from] = outgoing[edge.from] || []).push(edge.to);
+        });
+
+        var visit = function(key) {
+            state[key] = 'active';
+            path.push(key);
+
+            (outgoing[key] || []).forEach(function(next) {
+                if (state[next] === 'active') {
+                    cycles.push(path.slice(path.indexOf(next)).concat(next));
+                } else if (!state[next]) {
+                    visit(next);
+                }
+            });
+
+            path.pop();
+            state[key] = 'done';
+        };
+
+        for (var key in this.nodes) {
+            if (!state[key]) visit(key);
+        }
+
+        this.cycles = cycles;
+        return cycles;
+    };
+
+    // ## Export as JSON ##
+    // `JSON.stringify(graph)` gives `{ root, nodes, edges, cycles }`, with
+    // `nodes` as an array.
+    this.toJSON = function() {
+        var nodes = this.nodes;
+        return {
+            root: this.root,
+            nodes: Object.keys(nodes).map(function(key) {
+                return nodes[key];
+            }),
+            edges: this.edges,
+            cycles: this.cycles
+        };
+    };
+
+    // ## Export as Graphviz DOT ##
+    // ### Returns ###
+    //
+    // *  the graph as a DOT `digraph`, the root in bold and the edges of
+    //    cycles in red
+    this.toDot = function() {
+        var inCycle = {},
+            lines = ['digraph issues {'];
+
+        this.cycles.forEach(function(cycle) {
+            for (var i = 0; i < cycle.length - 1; i++) inCycle[cycle[i] + ' ' + cycle[i + 1]] = true;
+        });
+
+        for (var key in this.nodes) {
+            var node = this.nodes[key],
+                label = node.summary != null ? key + '\n' + node.summary : key,
+                attributes = ['label=' + dotQuote(label)];
+            if (key === this.root) attributes.push('style=bold');
+            lines.push('    ' + dotQuote(key) + ' [' + attributes.join(', ') + '];');
+        }
+
+        this.edges.forEach(function(edge) {
+            var attributes = ['label=' + dotQuote(edge.label)];
+            if (edge.type !== 'link') attributes.push('style=dashed');
+            if (inCycle[edge.from + ' ' + edge.to]) attributes.push('color=red');
+            lines.push('    ' + dotQuote(edge.from) + ' -> ' + dotQuote(edge.to) + ' [' + attributes.join(', ') + '];');
+        });
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    };
+}).call(IssueGraph.prototype);
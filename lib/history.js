@@ -0,0 +1,76 @@
+// # Issue history #
+//
+// Figures derived from an issue's changelog, as `JiraApi.getChangelog`
+// returns it. `JiraApi.getTimeInStatus` puts them together for one issue:
+//
+//     jira.getTimeInStatus('ABC-1', function(error, durations) {
+//         // { 'Open': 3600000, 'In Progress': 86400000 }
+//     });
+
+// ## Parse a JIRA timestamp ##
+// JIRA writes offsets as `+0000`, which not every `Date.parse` reads.
+var parseTime = exports.parseTime = function(time) {
+    if (time instanceof Date) return time.getTime();
+    if (typeof time === 'number') return time;
+    return Date.parse(String(time).replace(/([+-]\d\d)(\d\d)$/, '$1:$2'));
+};
+
+// ## List the changes of one field ##
+// ### Takes ###
+//
+// *  histories: the changelog, oldest first
+// *  field: name of the field, e.g. `status` or `assignee`
+//
+// ### Returns ###
+//
+// *  array of `{ time, author, from, to }`, oldest first, `from` and `to`
+//    the values as displayed
+exports.fieldChanges = function(histories, field) {
+    var changes = [];
+
+    histories.forEach(function(history) {
+        (history.items || []).forEach(function(item) {
+            if (item.field !== field) return;
+            changes.push({
+                time: parseTime(history.created),
+                author: history.author,
+                from: item.fromString,
+                to: item.toString
+            });
+        });
+    });
+
+    return changes;
+};
+
+// ## Total the time spent in each status ##
+// ### Takes ###
+//
+// *  issue: the issue, with its `created` and `status` fields
+// *  histories: the changelog, oldest first
+// *  until: optional end of the last status, `Date` or milliseconds,
+//    defaults to now
+//
+// ### Returns ###
+//
+// *  durations: object of milliseconds keyed by status name; a status
+//    entered more than once gets the sum
+exports.timeInStatus = function(issue, histories, until) {
+    var changes = exports.fieldChanges(histories, 'status'),
+        durations = {},
+        status = changes.length > 0 ? changes[0].from : issue.fields.status.name,
+        since = parseTime(issue.fields.created);
+
+    var spend = function(end) {
+        durations[status] = (durations[status] || 0) + Math.max(end - since, 0);
+        since = end;
+    };
+
+    changes.forEach(function(change) {
+        spend(change.time);
+        status = change.to;
+    });
+    spend(until == null ? Date.now() : parseTime(until));
+
+    return durations;
+};
@@ -31,8 +31,27 @@
 //     jira.findIssue(issueNumber, function(error, issue) {
 //         console.log('Status: ' + issue.fields.status.value.name);
 //     });
+//
+// Every call returns a Promise when the callback is left off.
+//
+//     var issue = await jira.findIssue(issueNumber);
+//     console.log('Status: ' + issue.fields.status.value.name);
 // 
-// Currently there is no explicit login call necessary as each API call makes a call to `login` before processing. This causes a lot of unnecessary logins and will be cleaned up in a future version.
+// With the default cookie session there is no explicit login call necessary. The first API call logs in and the session is reused by every call after it; when JIRA rejects the session the client logs in again and replays the request. Calls made while a login is in progress wait for it rather than logging in themselves.
+//
+// JIRA instances that do not allow cookie sessions can use HTTP Basic, an API token, a personal access token or OAuth instead; see `lib/auth.js` for the `auth` option.
+//
+// Errors are `JiraError` objects carrying the HTTP status, the request, JIRA's `errorMessages` and per-field `errors` and a `category` to branch on; see `lib/error.js`.
+//
+// Reads that JIRA answers with 429 or a 5xx status are retried with exponential backoff, honoring `Retry-After`; see `lib/retry.js` for the `retry` option.
+//
+// Queries can be built with `require('jira').jql` instead of concatenating strings, which quotes and escapes every value; see `lib/jql.js`.
+//
+// Fields can be given by name, like `Story Points`, wherever `addNewIssue`, `updateIssue` and `searchJira` take field ids; the names are translated to the ids of the JIRA instance. See `lib/fields.js`.
+//
+// New issues can be checked against the create metadata of their project and issue type before they are posted, with `validateIssue` or `addNewIssue(issue, { validate: true }, callback)`; the report lists required fields that are missing and values of the wrong type or not among the allowed ones. See `lib/validate.js`.
+//
+// `getIssueGraph` follows the links of an issue, and optionally its subtasks and epic, to collect every issue it depends on or blocks, with cycles marked; the graph exports as JSON or as Graphviz DOT. See `lib/graph.js`.
 // 
 // ## Implemented APIs ##
 // 
@@ -40,23 +59,55 @@
 // *  Projects
 //   *  Pulling a project
 //   *  List all projects viewable to the user
+//   *  List, create, update and delete components
+//   *  Pulling the issue count for a component
+//   *  List project roles and add users and groups to them
 // *  Versions
 //   *  Pulling versions
 //   *  Adding a new version
+//   *  Updating, releasing, archiving, moving and deleting a version
+//   *  Pulling the issue counts for a version
 //   *  Pulling unresolved issues count for a specific version
 // *  Find a Rapid View based on project name
 // *  Get the latest Green Hopper sprint for a Rapid View
+// *  Agile boards
+//   *  List boards, with filters
+//   *  Pulling a board and its configuration
+//   *  List sprints by state and get the active sprint
+//   *  Create, start and complete sprints
+//   *  Move issues to a sprint or the backlog
+//   *  Rank issues
+// *  Epics
+//   *  List the epics of a board
+//   *  List the issues in an epic
+//   *  Move issues into and out of an epic
 // *  Issues
-//   *  Add a new issue
-//   *  Update an issue
-//   *  Transition an issue
-//   *  Pulling an issue
-//   *  Issue linking
+//   *  Add a new issue, or many at once
+//   *  Validate a new issue against the create metadata
+//   *  Update an issue, or every issue matching a query
+//   *  Transition an issue, by transition id or by status name along a path
+//   *  Pulling an issue, with chosen fields and expansions
+//   *  Pulling the changelog of an issue and the time it spent in each status
+//   *  Issue linking: create, get and delete links, list and find link types
+//   *  List, add and delete remote links
+//   *  Walk the graph of linked issues, subtasks and epics, exportable as JSON or Graphviz DOT
+//   *  List, add and remove watchers
+//   *  List, add and remove votes
 //   *  Add an issue to a sprint
 //   *  Get a users issues (open or all)
 //   *  List issue types
-//   *  Search using jql
-//   *  Add a worklog
+//   *  Search using jql, one page at a time, all pages or as a stream
+//   *  Add, list, update and delete worklogs
+//   *  Total the time logged per author across a search
+//   *  List, add, update and delete comments
+//   *  Upload, list, download and delete attachments
+// *  Users
+//   *  Find users, and the users an issue can be assigned to
+//   *  Pulling a user and the logged in user
+//   *  List the members of a group
+// *  Fields
+//   *  List all fields
+//   *  Translate field names to ids
 // *  Transitions
 //   *  List
 // 
@@ -77,11 +128,137 @@
 //
 var http = require('http'),
     url = require('url'),
+    fs = require('fs'),
+    path = require('path'),
+    Readable = require('stream').Readable,
+    PassThrough = require('stream').PassThrough,
     request = require('request'),
+    auth = require('./auth'),
+    JiraError = require('./error').JiraError,
+    retry = require('./retry'),
+    jql = require('./jql'),
+    fieldNames = require('./fields'),
+    FieldRegistry = fieldNames.FieldRegistry,
+    validate = require('./validate'),
+    IssueGraph = require('./graph').IssueGraph,
+    history = require('./history'),
     logger = console;
 
 
-var JiraApi = exports.JiraApi = function(protocol, host, port, username, password, apiVersion, verbose) {
+// ## Build the body of a comment ##
+//
+// Comments are given as plain text or as a comment object; either way an
+// explicit visibility wins.
+var commentBody = function(comment, visibility) {
+    var body = typeof comment === 'string' ? { body: comment } : comment;
+
+    if (visibility) {
+        var copy = {};
+        for (var key in body) copy[key] = body[key];
+        copy.visibility = visibility;
+        body = copy;
+    }
+
+    return body;
+};
+
+// ## Build the query of a worklog change ##
+//
+// `newEstimate` and `reduceBy` (or `increaseBy` on delete) only take effect
+// with the matching `adjustEstimate`, so it is filled in when left out.
+var estimateQuery = function(estimate) {
+    var qs = {};
+    if (!estimate) return qs;
+
+    if (estimate.newEstimate != null) qs.newEstimate = estimate.newEstimate;
+    if (estimate.reduceBy != null) qs.reduceBy = estimate.reduceBy;
+    if (estimate.increaseBy != null) qs.increaseBy = estimate.increaseBy;
+
+    if (estimate.adjustEstimate) qs.adjustEstimate = estimate.adjustEstimate;
+    else if (qs.newEstimate != null) qs.adjustEstimate = 'new';
+    else if (qs.reduceBy != null || qs.increaseBy != null) qs.adjustEstimate = 'manual';
+
+    return qs;
+};
+
+// ## Format a date as JIRA expects it ##
+//
+// Strings are taken to be formatted already.
+var formatDate = function(date) {
+    if (typeof date === 'string') return date;
+
+    var pad = function(n) {
+        return n < 10 ? '0' + n : String(n);
+    };
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+};
+
+// ## Read the options of a search ##
+//
+// Searches take a fields array or an options object; anything else, like a
+// callback in their place, means no options.
+var searchOptions = function(optional) {
+    if (optional instanceof Array) return { fields: optional };
+    if (optional == null || typeof optional !== 'object') return {};
+    return optional;
+};
+
+// ## Key the fields of an issue by the names asked for ##
+//
+// `fields` are the fields as asked for, by id or name, and `ids` the ids
+// they were translated to.
+var nameFields = function(issue, fields, ids) {
+    var issueFields = issue.fields || {};
+    for (var i = 0; i < fields.length; i++) {
+        if (ids[i] === fields[i] || !(ids[i] in issueFields)) continue;
+        issueFields[fields[i]] = issueFields[ids[i]];
+        delete issueFields[ids[i]];
+    }
+};
+
+// ## Run tasks with bounded concurrency ##
+//
+// Calls `iterator(item, done)` for every item, with at most `limit` running
+// at once, then `callback()` once all are done. Errors are the iterator's
+// to record.
+var eachLimit = function(items, limit, iterator, callback) {
+    var started = 0,
+        finished = 0;
+
+    if (items.length === 0) {
+        callback();
+        return;
+    }
+
+    var start = function() {
+        var item = items[started++];
+        iterator(item, function() {
+            finished++;
+            if (finished === items.length) {
+                callback();
+                return;
+            }
+            if (started < items.length) start();
+        });
+    };
+
+    while (started < Math.min(limit, items.length)) start();
+};
+
+// ## Create a client ##
+// ### Takes ###
+//
+// *  protocol, host, port: where JIRA lives
+// *  username, password: credentials used by the `session` and `basic` authentication
+// *  apiVersion: version of the REST API, e.g. `2`
+// *  verbose: `boolean` log what the client is doing
+// *  options: optional object of
+//   *  auth: authentication strategy, see `lib/auth.js`
+//   *  timeout: milliseconds to wait for JIRA before a request fails with a
+//      `network` error, no limit by default
+//   *  retry: retry policy for 429 and 5xx answers, `false` to never retry;
+//      see `lib/retry.js`
+var JiraApi = exports.JiraApi = function(protocol, host, port, username, password, apiVersion, verbose, options) {
     this.protocol = protocol;
     this.host = host;
     this.port = port;
@@ -89,21 +266,57 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
     this.password = password;
     this.apiVersion = apiVersion;
     if (verbose != true) logger = { log: function() {} };
+    options = options || {};
 
+    this.auth = auth.create(options.auth, this);
+    this.timeout = options.timeout;
+    this.retry = options.retry === false ? retry.never : new retry.RetryPolicy(options.retry);
     this.cookies = [];
+    this.loggedIn = false;
+    this.loginCallbacks = null;
+    this.sessionCount = 0;
+    this.fieldRegistry = null;
+    this.fieldRegistryCallbacks = null;
+    this.createMeta = {};
 };
 
 (function() {
+    // ## Build the uri for a REST resource ##
+    // ### Takes ###
+    //
+    // *  pathname: path of the resource, relative to the API base
+    // *  altBase: optional API base, defaults to `rest/api/<apiVersion>`
+    //
+    // ### Returns ###
+    //
+    // *  the fully qualified uri
+    this.makeUri = function(pathname, altBase) {
+        var basePath = altBase || 'rest/api/' + this.apiVersion;
+
+        return url.format({
+            protocol: this.protocol,
+            hostname: this.host,
+            port: this.port,
+            pathname: basePath + pathname
+        });
+    };
+
+    // ## Log in to JIRA ##
+    // ### Takes ###
+    //
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`, null on success
+    //
+    // The session cookies are kept on `this.cookies` and reused by every
+    // subsequent request until JIRA rejects them.
     this.login = function(callback) {
         logger.log("Attempting to log in to JIRA");
 
         var options = {
-            uri: url.format({
-                protocol:  this.protocol,
-                hostname: this.host,
-                port: this.port,
-                pathname: 'rest/auth/1/session'
-            }),
+            uri: this.makeUri('/session', 'rest/auth/1'),
             method: 'POST',
             json: true,
             body: {
@@ -111,16 +324,24 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
                 'password': this.password
             }
         };
+        if (this.timeout) options.timeout = this.timeout;
 
         var self = this;
         request(options, function(error, response, body) {
+            self.loggedIn = false;
+
+            if (error) {
+                callback(JiraError.fromTransportError(options, error));
+                return;
+            }
+
             if (response.statusCode === 401) {
-                callback('Failed to log in to JIRA due to authentication error.');
+                callback(JiraError.fromResponse(options, response, body, 'Failed to log in to JIRA due to authentication error.'));
                 return;
             }
 
             if (response.statusCode !== 200) {
-                callback(response.statusCode + ': Unable to connect to JIRA during login.');
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during login.'));
                 return;
             }
 
@@ -128,54 +349,351 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
             if (response.headers['set-cookie']) {
                 self.cookies = response.headers['set-cookie'];
             }
+            self.loggedIn = true;
+            self.sessionCount++;
 
             logger.log("Logged in to JIRA successfully.");
             callback(null);
         });
     };
 
+    // ## Make sure there is a session before making a request ##
+    // ### Takes ###
+    //
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`, null when logged in
+    //
+    // Callers arriving while a login is in flight wait for that login instead
+    // of starting their own.
+    this.ensureLogin = function(callback) {
+        if (this.loggedIn) {
+            callback(null);
+            return;
+        }
+
+        if (this.loginCallbacks) {
+            this.loginCallbacks.push(callback);
+            return;
+        }
+
+        var self = this;
+        this.loginCallbacks = [callback];
+        this.login(function(error) {
+            var callbacks = self.loginCallbacks;
+            self.loginCallbacks = null;
+            for (var i = 0; i < callbacks.length; i++) {
+                callbacks[i](error);
+            }
+        });
+    };
+
+    // ## Send an authenticated request ##
+    // ### Takes ###
+    //
+    // *  options: options for `request`
+    // *  callback: `function(error, response, body)` as for `request`
+    //
+    // Signs the request with the configured authentication strategy. For
+    // strategies that hold a session, a 401 renews it once and replays the
+    // request. Answers of 429 and 5xx are retried as `this.retry` allows.
+    // Requests that get no response at all call back with a `network`
+    // `JiraError` and no response.
+    //
+    // A `formData` function is called for every attempt, so files can be
+    // read again when the request is sent again. Requests with
+    // `replayable: false`, like uploads from a stream, are never sent twice;
+    // they fail with the answer that would have caused a resend.
+    this.doRequest = function(options, callback) {
+        var self = this,
+            strategy = this.auth;
+
+        var send = function(retried, attempt) {
+            var session = self.sessionCount,
+                sent = options;
+
+            options.headers = options.headers || {};
+            if (self.timeout) options.timeout = self.timeout;
+            strategy.sign(self, options);
+
+            if (typeof options.formData === 'function') {
+                sent = {};
+                for (var key in options) sent[key] = options[key];
+                sent.formData = options.formData();
+            }
+
+            request(sent, function(error, response, body) {
+                if (error) {
+                    callback(JiraError.fromTransportError(options, error));
+                    return;
+                }
+
+                if (response.statusCode === 401 && !retried && strategy.expire) {
+                    strategy.expire(self, session);
+                    if (options.replayable === false) {
+                        callback(JiraError.fromResponse(options, response, body, 'JIRA rejected the credentials and the request cannot be sent again.'));
+                        return;
+                    }
+
+                    logger.log("JIRA rejected the credentials, authenticating again.");
+                    strategy.authenticate(self, function(error) {
+                        if (error) {
+                            callback(error);
+                            return;
+                        }
+                        send(true, attempt);
+                    });
+                    return;
+                }
+
+                var delay = options.replayable === false ? -1 : self.retry.delayFor(options, response, attempt);
+                if (delay >= 0) {
+                    logger.log("JIRA answered " + response.statusCode + ", retrying in " + delay + "ms.");
+                    self.retry.onRetry({
+                        attempt: attempt,
+                        maxAttempts: self.retry.maxAttempts,
+                        delay: delay,
+                        statusCode: response.statusCode,
+                        method: options.method,
+                        url: options.uri
+                    });
+                    setTimeout(function() {
+                        send(retried, attempt + 1);
+                    }, delay);
+                    return;
+                }
+
+                callback(error, response, body);
+            });
+        };
+
+        strategy.authenticate(this, function(error) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            send(false, 1);
+        });
+    };
+
+    // ## Send an authenticated request and stream the response ##
+    // ### Takes ###
+    //
+    // *  options: options for `request`
+    //
+    // ### Returns ###
+    //
+    // *  a readable stream of the response body, which is destroyed with a
+    //    `JiraError` unless JIRA answers 200
+    //
+    // Streamed requests are not retried; for strategies that hold a session,
+    // a 401 renews it once and sends the request again.
+    this.doStreamRequest = function(options) {
+        var self = this,
+            strategy = this.auth,
+            stream = new PassThrough();
+
+        var send = function(retried) {
+            var session = self.sessionCount;
+
+            options.headers = options.headers || {};
+            if (self.timeout) options.timeout = self.timeout;
+            strategy.sign(self, options);
+
+            var req = request(options);
+            req.on('error', function(error) {
+                stream.destroy(JiraError.fromTransportError(options, error));
+            });
+            req.on('response', function(response) {
+                if (response.statusCode === 401 && !retried && strategy.expire) {
+                    logger.log("JIRA rejected the credentials, authenticating again.");
+                    response.resume();
+                    strategy.expire(self, session);
+                    strategy.authenticate(self, function(error) {
+                        if (error) {
+                            stream.destroy(error);
+                            return;
+                        }
+                        send(true);
+                    });
+                    return;
+                }
+
+                if (response.statusCode !== 200) {
+                    stream.destroy(JiraError.fromResponse(options, response, null, 'Unable to download from JIRA.'));
+                    return;
+                }
+                req.pipe(stream);
+            });
+        };
+
+        strategy.authenticate(this, function(error) {
+            if (error) {
+                stream.destroy(error);
+                return;
+            }
+            send(false);
+        });
+
+        return stream;
+    };
+
     
     // ## Find an issue in jira ##
     // ### Takes ###
     //
     // *  issueNumber: the issueNumber to find
+    // *  optional: an array of desired fields, or an object of
+    //   *  fields: array of desired fields, by id or name, all by default
+    //   *  expand: array of parts to expand, e.g. `['changelog']`
     // *  callback: for when it's done
     //   
     // ### Returns ###
     //
-    // *  error: string of the error
-    // *  issue: an object of the issue
+    // *  error: a `JiraError`
+    // *  issue: an object of the issue; fields asked for by name are keyed
+    //    by that name
     //
     // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290709)
-    this.findIssue = function(issueNumber, callback) {
-        var self = this;
-        this.login(function() {
+    this.findIssue = function(issueNumber, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        if (optional == null || optional instanceof Array)
+            optional = { fields: optional };
+
+        var self = this,
+            fields = optional.fields || [];
+
+        this.withFieldRegistry(fields, function(error, registry) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var ids = fields;
+            if (registry) {
+                try {
+                    ids = fields.map(function(field) {
+                        return registry.idFor(field);
+                    });
+                } catch (e) {
+                    callback(e);
+                    return;
+                }
+            }
+
+            var qs = {};
+            if (ids.length > 0) qs.fields = ids.join(',');
+            if (optional.expand) {
+                qs.expand = typeof optional.expand === 'string' ? optional.expand : optional.expand.join(',');
+            }
+
             var options = {
-                uri: url.format({
-                    protocol: self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issue/' + issueNumber
-                }),
+                uri: self.makeUri('/issue/' + issueNumber),
                 method: 'GET',
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
+                qs: qs,
+                json: true
             };
 
-            request(options, function(error, response, body) {
+            self.doRequest(options, function(error, response, body) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
                 if (response.statusCode === 404) {
-                    callback('Invalid issue number.');
+                    callback(JiraError.fromResponse(options, response, body, 'Invalid issue number.'));
                     return;
                 }
 
                 if (response.statusCode !== 200) {
-                    callback(response.statusCode + ': Unable to connect to JIRA during findIssueStatus.');
+                    callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during findIssue.'));
+                    return;
+                }
+
+                nameFields(body, fields, ids);
+                callback(null, body);
+            });
+        });
+    };
+
+    // ## Get the changelog of an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  histories: every change, oldest first, each `{ id, author, created,
+    //    items }` with an item `{ field, from, fromString, to, toString }`
+    //    per field changed
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-getChangeLogs)
+    //
+    // The changelog is paged through `issue/<key>/changelog`; JIRA versions
+    // without it get the issue with `expand=changelog` instead.
+    this.getChangelog = function(issueKey, callback) {
+        var self = this;
+
+        var sorted = function(histories) {
+            return histories.slice().sort(function(a, b) {
+                return history.parseTime(a.created) - history.parseTime(b.created);
+            });
+        };
+
+        this.collectPages(this.makeUri('/issue/' + issueKey + '/changelog'), {}, 'Error while retrieving changelog.', function(error, histories) {
+            if (!error) {
+                callback(null, sorted(histories));
+                return;
+            }
+
+            if (error.statusCode !== 404) {
+                callback(error);
+                return;
+            }
+
+            self.findIssue(issueKey, { fields: ['created'], expand: ['changelog'] }, function(error, issue) {
+                if (error) {
+                    callback(error);
                     return;
                 }
+                callback(null, sorted(issue.changelog ? issue.changelog.histories : []));
+            });
+        });
+    };
+
+    // ## Get the time an issue spent in each status ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  durations: object of milliseconds keyed by status name, up to now
+    //    for the current status; see `lib/history.js`
+    this.getTimeInStatus = function(issueKey, callback) {
+        var self = this;
 
-                callback(null, JSON.parse(body));
+        this.findIssue(issueKey, ['created', 'status'], function(error, issue) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
+            self.getChangelog(issueKey, function(error, histories) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                callback(null, history.timeInStatus(issue, histories));
             });
         });
     };
@@ -187,41 +705,35 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
     // *  callback: function for when it's done     
     //
     // ### Returns ###
-    // *  error: string with the error code
+    // *  error: a `JiraError`
     // *  count: count of unresolved issues for requested version
     //
     // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id288524)
     
     this.getUnresolvedIssueCount = function(version, callback) {
-        var self = this;
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol: self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/version/' + version + '/unresolvedIssueCount'
-                }),
-                method: 'GET',
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+        var options = {
+            uri: this.makeUri('/version/' + version + '/unresolvedIssueCount'),
+            method: 'GET'
+        };
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 404) {
-                    callback('Invalid version.');
-                    return;
-                }
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
-                if (response.statusCode !== 200) {
-                    callback(response.statusCode + ': Unable to connect to JIRA during findIssueStatus.');
-                    return;
-                }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid version.'));
+                return;
+            }
 
-                body = JSON.parse(body);
-                callback(null, body.issuesUnresolvedCount);
-            });
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during getUnresolvedIssueCount.'));
+                return;
+            }
+
+            body = JSON.parse(body);
+            callback(null, body.issuesUnresolvedCount);
         });
     };
 
@@ -232,41 +744,35 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error: string of the error
+    // *  error: a `JiraError`
     // *  project: the json object representing the entire project
     //
     // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id289232)
 
     this.getProject = function(project, callback) {
-        var self = this;
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol: self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/project/' + project
-                }),
-                method: 'GET',
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+        var options = {
+            uri: this.makeUri('/project/' + project),
+            method: 'GET'
+        };
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 404) {
-                    callback('Invalid project.');
-                    return;
-                }
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
-                if (response.statusCode !== 200) {
-                    callback(response.statusCode + ': Unable to connect to JIRA during getProject.');
-                    return;
-                }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid project.'));
+                return;
+            }
 
-                body = JSON.parse(body);
-                callback(null, body);
-            });
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during getProject.'));
+                return;
+            }
+
+            body = JSON.parse(body);
+            callback(null, body);
         });
     };
 
@@ -277,8 +783,8 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error: string of the error
-    // *  rapidView: rapid view matching the projectName
+    // *  error: a `JiraError`
+    // *  rapidView: rapid view matching the projectName, null when none does
     
     /**
      * Finds the Rapid View that belongs to a specified project.
@@ -287,43 +793,37 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
      * @param callback
      */
     this.findRapidView = function(projectName, callback) {
-      var self = this;
-      this.login(function() {
-        var options = {
-          uri: url.format({
-            protocol: self.protocol,
-            hostname: self.host,
-            port: self.port,
-            pathname: 'rest/greenhopper/' + self.apiVersion + '/rapidviews/list'
-          }),
-          method: 'GET',
-          headers: {
-            Cookie: self.cookies.join(';')
-          },
-          json: true,
-        };
+      var options = {
+        uri: this.makeUri('/rapidviews/list', 'rest/greenhopper/' + this.apiVersion),
+        method: 'GET',
+        json: true,
+      };
 
-        request(options, function(error, response, body) {
-          if (response.statusCode === 404) {
-            callback('Invalid URL');
-            return;
-          }
+      this.doRequest(options, function(error, response, body) {
+        if (error) {
+          callback(error);
+          return;
+        }
+
+        if (response.statusCode === 404) {
+          callback(JiraError.fromResponse(options, response, body, 'Invalid URL'));
+          return;
+        }
 
-          if (response.statusCode !== 200) {
-            callback(response.statusCode + ': Unable to connect to JIRA during rapidView search.');
+        if (response.statusCode !== 200) {
+          callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during rapidView search.'));
+          return;
+        }
+
+        var rapidViews = (response.body && response.body.views) || [];
+        for (var i = 0; i < rapidViews.length; i++) {
+          if(rapidViews[i].name.toLowerCase() === projectName.toLowerCase()) {
+            callback(null, rapidViews[i]);
             return;
           }
+        }
 
-          if (response.body !== null) {
-            var rapidViews = response.body.views;
-            for (var i = 0; i < rapidViews.length; i++) {
-              if(rapidViews[i].name.toLowerCase() === projectName.toLowerCase()) {
-                callback(null, rapidViews[i]);
-                return;
-              }
-            }
-          }
-        });
+        callback(null, null);
       });
     };
 
@@ -335,8 +835,8 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
     //
     // ### Returns ###
     //
-    // *  error: string with the error
-    // *  sprints: the ?array? of sprints
+    // *  error: a `JiraError`
+    // *  sprint: the last sprint, null when there are none
     /**
      * Returns a list of sprints belonging to a Rapid View.
      *
@@ -344,39 +844,30 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
      * @param callback
      */
     this.getLastSprintForRapidView = function(rapidViewId, callback) {
-      var self = this;
-      this.login(function() {
-        var options = {
-          uri: url.format({
-            protocol: self.protocol,
-            hostname: self.host,
-            port: self.port,
-            pathname: 'rest/greenhopper/' + self.apiVersion + '/sprints/' + rapidViewId
-          }),
-          method: 'GET',
-          headers: {
-            Cookie: self.cookies.join(';')
-          },
-          json:true,
-        };
+      var options = {
+        uri: this.makeUri('/sprints/' + rapidViewId, 'rest/greenhopper/' + this.apiVersion),
+        method: 'GET',
+        json:true,
+      };
 
-        request(options, function(error, response, body) {
-          if (response.statusCode === 404) {
-            callback('Invalid URL');
-            return;
-          }
+      this.doRequest(options, function(error, response, body) {
+        if (error) {
+          callback(error);
+          return;
+        }
 
-          if (response.statusCode !== 200) {
-            callback(response.statusCode + ': Unable to connect to JIRA during sprints search.');
-            return;
-          }
+        if (response.statusCode === 404) {
+          callback(JiraError.fromResponse(options, response, body, 'Invalid URL'));
+          return;
+        }
 
-          if (response.body !== null) {
-            var sprints = response.body.sprints;
-            callback(null, sprints.pop());
-            return;
-          }
-        });
+        if (response.statusCode !== 200) {
+          callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during sprints search.'));
+          return;
+        }
+
+        var sprints = (response.body && response.body.sprints) || [];
+        callback(null, sprints.length > 0 ? sprints.pop() : null);
       });
     };
 
@@ -389,10 +880,8 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
     //
     // ### Returns ###
     // 
-    // *  error: string of the error
-    //
-    //
-    // **does this callback if there's success?**
+    // *  error: a `JiraError`
+    // *  success string
     /**
      * Adds a given issue to a project's current sprint
      *
@@ -401,661 +890,3900 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
      * @param callback
      */
     this.addIssueToSprint = function(issueId, sprintId, callback) {
-      var self = this;
-      this.login(function() {
-        var options = {
-          uri: url.format({
-            protocol: self.protocol,
-            hostname: self.host,
-            port: self.port,
-            pathname: 'rest/greenhopper/' + self.apiVersion + '/sprint/' + sprintId + '/issues/add'
-          }),
-          method: 'PUT',
-          headers: {
-            Cookie: self.cookies.join(';')
-          },
-          json:true,
-          body: {
-            issueKeys: [issueId]
-          }
-        };
+      var options = {
+        uri: this.makeUri('/sprint/' + sprintId + '/issues/add', 'rest/greenhopper/' + this.apiVersion),
+        method: 'PUT',
+        json:true,
+        body: {
+          issueKeys: [issueId]
+        }
+      };
 
-        logger.log(options.uri);
-        request(options, function(error, response, body) {
-          if (response.statusCode === 404) {
-            callback('Invalid URL');
-            return;
-          }
+      logger.log(options.uri);
+      this.doRequest(options, function(error, response, body) {
+        if (error) {
+          callback(error);
+          return;
+        }
 
-          if (response.statusCode !== 204) {
-            callback(response.statusCode + ': Unable to connect to JIRA to add to sprint.');
-            return;
-          }
+        if (response.statusCode === 404) {
+          callback(JiraError.fromResponse(options, response, body, 'Invalid URL'));
+          return;
+        }
 
-        });
+        if (response.statusCode !== 204) {
+          callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA to add to sprint.'));
+          return;
+        }
+
+        callback(null, "Success");
       });
     };
 
-    // ## Create an issue link between two issues ##
+    // ## Rank issues on an agile board ##
     // ### Takes ###
-    // 
-    // *  link: a link object
+    //
+    // *  issueKeys: array of issue keys to rank, at most 50, kept in this order
+    // *  position: object of
+    //   *  before: key of the issue to rank them before, or
+    //   *  after: key of the issue to rank them after
+    //   *  boardId: optional, rank with the rank field of this board, which
+    //      is checked to exist before ranking
+    //   *  rankCustomFieldId: optional, rank with this field, JIRA's default
+    //      rank field otherwise
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error: string if there was an issue, null if success 
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id296682)
-    /**
-     * Creates an issue link between two issues. Link should follow the below format:
-     *
-     * {
-     *   'linkType': 'Duplicate',
-     *   'fromIssueKey': 'HSP-1',
-     *   'toIssueKey': 'MKY-1',
-     *   'comment': {
-     *     'body': 'Linked related issue!',
-     *     'visibility': {
-     *       'type': 'GROUP',
-     *       'value': 'jira-users'
-     *     }
-     *   }
-     * }
-     *
-     * @param link
-     * @param errorCallback
-     * @param successCallback
-     */
-    this.issueLink = function(link, callback) {
+    // *  error: a `JiraError`; when only some issues were ranked its `errors`
+    //    are keyed by the issues that were not
+    // *  success string
+    //
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/issue-rankIssues)
+    this.rankIssues = function(issueKeys, position, callback) {
+        if (typeof position === 'function') {
+            callback = position;
+            position = null;
+        }
+
         var self = this;
-        this.login(function() {
+
+        if (!position || (position.before == null) === (position.after == null)) {
+            callback(new JiraError('Rank issues either before or after an issue.', { category: JiraError.VALIDATION }));
+            return;
+        }
+
+        var rank = function(rankCustomFieldId) {
+            var body = { issues: issueKeys };
+            if (position.before != null) body.rankBeforeIssue = position.before;
+            if (position.after != null) body.rankAfterIssue = position.after;
+            if (rankCustomFieldId != null) body.rankCustomFieldId = rankCustomFieldId;
+
             var options = {
-                uri: url.format({
-                    protocol: self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issueLink'
-                }),
-                method: 'POST',
-                headers: {
-                    Cookie: self.cookies.join(';')
-                },
+                uri: self.makeUri('/issue/rank', 'rest/agile/1.0'),
+                method: 'PUT',
                 json: true,
-                body: link
+                body: body
             };
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 404) {
-                    callback('Invalid project.');
+            self.doRequest(options, function(error, response, body) {
+                if (error) {
+                    callback(error);
                     return;
                 }
 
-                if (response.statusCode !== 200) {
-                    callback(response.statusCode + ': Unable to connect to JIRA during issueLink.');
+                if (response.statusCode === 204) {
+                    callback(null, "Success");
                     return;
                 }
 
-                callback(null);
+                if (response.statusCode === 207) {
+                    var errors = {},
+                        entries = (body && body.entries) || [];
+                    for (var i = 0; i < entries.length; i++) {
+                        var entry = entries[i];
+                        if (entry.status !== 200) errors[entry.issueKey || entry.issueId] = (entry.errors || []).join(' ');
+                    }
+                    callback(new JiraError('Unable to rank some of the issues.', {
+                        statusCode: response.statusCode,
+                        method: options.method,
+                        url: options.uri,
+                        errors: errors,
+                        category: JiraError.VALIDATION
+                    }));
+                    return;
+                }
+
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA to rank issues.'));
             });
+        };
+
+        if (position.rankCustomFieldId != null || position.boardId == null) {
+            rank(position.rankCustomFieldId);
+            return;
+        }
+
+        this.getBoardConfiguration(position.boardId, function(error, configuration) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (!configuration.ranking || configuration.ranking.rankCustomFieldId == null) {
+                callback(new JiraError('Board ' + position.boardId + ' has no rank field configured.', { category: JiraError.VALIDATION }));
+                return;
+            }
+
+            rank(configuration.ranking.rankCustomFieldId);
         });
     };
 
-    // ## Get Versions for a project ##
+    // ## Collect every page of an Agile list ##
+    // Other lists paged with `values` and `isLast`, like group members, are
+    // collected the same way.
+    //
     // ### Takes ###
-    // *  project: A project key
+    //
+    // *  uri: uri of the list
+    // *  qs: query of the list, without `startAt`
+    // *  message: what failed, for the error
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error: a string with the error
-    // *  versions: array of the versions for a product
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id289653)
+    // *  error: a `JiraError`
+    // *  values: the `values` of every page
+    this.collectPages = function(uri, qs, message, callback) {
+        var self = this,
+            values = [],
+            startAt = 0;
+
+        var next = function() {
+            var query = {};
+            for (var key in qs) query[key] = qs[key];
+            query.startAt = startAt;
 
-    this.getVersions = function(project, callback) {
-        var self = this;
-        this.login(function() {
             var options = {
-                uri: url.format({
-                    protocol: self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/project/' + project + '/versions'
-                }),
+                uri: uri,
                 method: 'GET',
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
+                qs: query,
+                json: true
             };
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 404) {
-                    callback('Invalid project.');
+            self.doRequest(options, function(error, response, body) {
+                if (error) {
+                    callback(error);
                     return;
                 }
 
                 if (response.statusCode !== 200) {
-                    callback(response.statusCode + ': Unable to connect to JIRA during getVersions.');
+                    callback(JiraError.fromResponse(options, response, body, message));
                     return;
                 }
 
-                body = JSON.parse(body);
-                callback(null, body);
+                values = values.concat(body.values);
+                startAt += body.values.length;
+                if (body.isLast || body.values.length === 0 || (body.total != null && startAt >= body.total)) {
+                    callback(null, values);
+                    return;
+                }
+                next();
             });
-        });
+        };
+
+        next();
     };
 
-    // ## Create a version ##
+    // ## List Agile boards ##
     // ### Takes ###
     //
-    // *  version: an object of the new version
+    // *  optional: object of filters
+    //   *  type: `scrum` or `kanban`
+    //   *  name: only boards with names containing this
+    //   *  projectKeyOrId: only boards of this project
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // 
-    // *  error: error text
-    // *  version: should be the same version you passed up
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id288232)
+    // *  error: a `JiraError`
+    // *  boards: array of every matching board
     //
-    /* {
-     *    "description": "An excellent version",
-     *    "name": "New Version 1",
-     *    "archived": false,
-     *    "released": true,
-     *    "releaseDate": "2010-07-05",
-     *    "userReleaseDate": "5/Jul/2010",
-     *    "project": "PXA"
-     * }
-     */
-    this.createVersion = function(version, callback) {
-        var self = this;
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/board-getAllBoards)
+    this.listBoards = function(optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/version'
-                }),
-                method: 'POST',
-                json: true,
-                body: version,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
-            request(options, function(error, response, body) {
-                if (response.statusCode === 404) {
-                    callback('Version does not exist or the currently authenticated user does not have permission to view it');
-                    return;
-                }
+        var qs = {};
+        if (optional.type) qs.type = optional.type;
+        if (optional.name) qs.name = optional.name;
+        if (optional.projectKeyOrId) qs.projectKeyOrId = optional.projectKeyOrId;
 
-                if (response.statusCode === 403) {
-                    callback('The currently authenticated user does not have permission to edit the version');
-                    return;
-                }
+        this.collectPages(this.makeUri('/board', 'rest/agile/1.0'), qs, 'Unable to connect to JIRA during listBoards.', callback);
+    };
 
-                if (response.statusCode !== 201) {
-                    callback(response.statusCode + ': Unable to connect to JIRA during createVersion.');
-                    return;
-                }
+    // ## Get an Agile board ##
+    // ### Takes ###
+    //
+    // *  boardId: id of the board
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  board: the board
+    this.getBoard = function(boardId, callback) {
+        var options = {
+            uri: this.makeUri('/board/' + boardId, 'rest/agile/1.0'),
+            method: 'GET',
+            json: true
+        };
 
-                callback(null, body);
-            });
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Board not found.'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during getBoard.'));
+                return;
+            }
+
+            callback(null, body);
         });
     };
-    
-    // ## Pass a search query to Jira ##
+
+    // ## Get the configuration of an Agile board ##
     // ### Takes ###
     //
-    // *  searchString: jira query string
-    // *  fields: optional array of desired fields, defaults when null: 
-    //   *  "summary"
-    //   *  "status"
-    //   *  "assignee"
-    //   *  "description" 
+    // *  boardId: id of the board
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // 
-    // *  error: string if there's an error
-    // *  issues: array of issues for the user
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id296043)
+    // *  error: a `JiraError`
+    // *  configuration: the board's filter, columns, estimation and ranking
     //
-    this.searchJira = function(searchString, fields, callback) {
-        var self = this;
-        
-        if (fields == null)
-            fields = ["summary", "status", "assignee", "description"];
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/search'
-                }),
-                method: 'POST',
-                json: true,
-                body: {
-                    jql:searchString,
-                    startAt: 0,
-                    fields: fields 
-                },
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/board-getConfiguration)
+    this.getBoardConfiguration = function(boardId, callback) {
+        var options = {
+            uri: this.makeUri('/board/' + boardId + '/configuration', 'rest/agile/1.0'),
+            method: 'GET',
+            json: true
+        };
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 400) {
-                    callback('Problem with the JQL query');
-                    return;
-                }
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
-                if (response.statusCode !== 200) {
-                    callback(response.statusCode + ': Unable to connect to JIRA during search.');
-                    return;
-                }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Board not found.'));
+                return;
+            }
 
-                callback(null, body);
-            });
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during getBoardConfiguration.'));
+                return;
+            }
+
+            callback(null, body);
         });
     };
-    
-    // ## Get issues related to a user ##
+
+    // ## List the sprints of a board ##
     // ### Takes ###
     //
-    // *  user: username of user to search for
-    // *  open: `boolean` determines if only open issues should be returned
+    // *  boardId: id of the board
+    // *  state: optional `future`, `active` or `closed`, or an array of them,
+    //    every sprint when null
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // 
-    // *  error: string if there's an error
-    // *  issues: array of issues for the user
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id296043)
+    // *  error: a `JiraError`
+    // *  sprints: array of every matching sprint
     //
-    this.getUsersIssues = function(username, open, callback) {
-        jql = "assignee = " + username;
-        var openText = ' AND status in (Open, "In Progress", Reopened)';
-        if (open) jql += openText;
-        this.searchJira(jql, null, callback);
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/board/{boardId}/sprint)
+    this.listSprints = function(boardId, state, callback) {
+        if (typeof state === 'function') {
+            callback = state;
+            state = null;
+        }
+
+        var qs = {};
+        if (state) qs.state = state instanceof Array ? state.join(',') : state;
+
+        this.collectPages(this.makeUri('/board/' + boardId + '/sprint', 'rest/agile/1.0'), qs, 'Unable to connect to JIRA during listSprints.', callback);
     };
 
-    // ## Add issue to Jira ##
+    // ## Get the active sprint of a board ##
     // ### Takes ###
     //
-    // *  issue: Properly Formatted Issue
+    // *  boardId: id of the board
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error object (check out the Jira Doc)
-    // *  success object
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290028)
-    this.addNewIssue = function(issue, callback) {
-        var self = this;
+    // *  error: a `JiraError`
+    // *  sprint: the active sprint, null when no sprint is active
+    this.getActiveSprint = function(boardId, callback) {
+        this.listSprints(boardId, 'active', function(error, sprints) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            callback(null, sprints.length > 0 ? sprints[0] : null);
+        });
+    };
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issue'
-                }),
-                method: 'POST',
-                json: true,
-                body: issue,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+    // ## Create a sprint ##
+    // ### Takes ###
+    //
+    // *  sprint: an object of the new sprint
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  sprint: the sprint as created
+    //
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/sprint-createSprint)
+    /* {
+     *    "name": "Sprint 1",
+     *    "originBoardId": 5,
+     *    "startDate": "2015-04-11T15:22:00.000+10:00",
+     *    "endDate": "2015-04-20T01:22:00.000+10:00",
+     *    "goal": "Ship it"
+     * }
+     */
+    this.createSprint = function(sprint, callback) {
+        var options = {
+            uri: this.makeUri('/sprint', 'rest/agile/1.0'),
+            method: 'POST',
+            json: true,
+            body: sprint
+        };
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 400) {
-                    callback(body);
-                    return;
-                }
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
-                if ((response.statusCode !== 200) && (response.statusCode !== 201)) {
-                    callback(response.statusCode + ': Unable to connect to JIRA during search.');
-                    return;
-                }
+            if (response.statusCode !== 201) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during createSprint.'));
+                return;
+            }
 
-                callback(null, body);
-            });
+            callback(null, body);
         });
     };
-    // ## Delete issue to Jira ##
+
+    // ## Change the fields of a sprint ##
     // ### Takes ###
     //
-    // *  issueId: the Id of the issue to delete
+    // *  sprintId: id of the sprint
+    // *  sprint: the fields to change
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error string
-    // *  success object
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290791)
-    this.deleteIssue = function(issueNum, callback) {
-        var self = this;
+    // *  error: a `JiraError`
+    // *  sprint: the sprint as updated
+    //
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/sprint-partiallyUpdateSprint)
+    this.updateSprint = function(sprintId, sprint, callback) {
+        var options = {
+            uri: this.makeUri('/sprint/' + sprintId, 'rest/agile/1.0'),
+            method: 'POST',
+            idempotent: true,
+            json: true,
+            body: sprint
+        };
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issue/' + issueNum
-                }),
-                method: 'DELETE',
-                json: true,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 204) {
-                    callback(null, "Success");
-                    return;
-                }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Sprint not found.'));
+                return;
+            }
 
-                callback(response.statusCode + ': Error while deleting');
-            });
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during updateSprint.'));
+                return;
+            }
+
+            callback(null, body);
         });
     };
-    // ## Update issue in Jira ##
+
+    // ## Start a sprint ##
     // ### Takes ###
     //
-    // *  issueId: the Id of the issue to delete
-    // *  issueUpdate: update Object
+    // *  sprintId: id of the sprint
+    // *  dates: object of `startDate` and `endDate`, required unless the
+    //    sprint already has them
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error string
-    // *  success string
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290878)
-    this.updateIssue = function(issueNum, issueUpdate, callback) {
-        var self = this;
+    // *  error: a `JiraError`
+    // *  sprint: the sprint as started
+    this.startSprint = function(sprintId, dates, callback) {
+        if (typeof dates === 'function') {
+            callback = dates;
+            dates = null;
+        }
+        dates = dates || {};
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issue/' + issueNum
-                }),
-                body: issueUpdate,
-                method: 'PUT',
-                json: true,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+        var sprint = { state: 'active' };
+        if (dates.startDate) sprint.startDate = dates.startDate;
+        if (dates.endDate) sprint.endDate = dates.endDate;
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 200) {
-                    callback(null, "Success");
+        this.updateSprint(sprintId, sprint, callback);
+    };
+
+    // ## Complete a sprint ##
+    // ### Takes ###
+    //
+    // *  sprintId: id of the active sprint
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  sprint: the sprint as closed
+    this.completeSprint = function(sprintId, callback) {
+        this.updateSprint(sprintId, { state: 'closed' }, callback);
+    };
+
+    // ## Move issues to a sprint ##
+    // ### Takes ###
+    //
+    // *  sprintId: id of the sprint
+    // *  issueKeys: array of issue keys, at most 50
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/sprint-moveIssuesToSprintAndRank)
+    this.moveIssuesToSprint = function(sprintId, issueKeys, callback) {
+        var options = {
+            uri: this.makeUri('/sprint/' + sprintId + '/issue', 'rest/agile/1.0'),
+            method: 'POST',
+            idempotent: true,
+            json: true,
+            body: {
+                issues: issueKeys
+            }
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Sprint not found.'));
+                return;
+            }
+
+            if (response.statusCode !== 204) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during moveIssuesToSprint.'));
+                return;
+            }
+
+            callback(null, "Success");
+        });
+    };
+
+    // ## Move issues to the backlog ##
+    // ### Takes ###
+    //
+    // *  issueKeys: array of issue keys, at most 50
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/backlog-moveIssuesToBacklog)
+    this.moveIssuesToBacklog = function(issueKeys, callback) {
+        var options = {
+            uri: this.makeUri('/backlog/issue', 'rest/agile/1.0'),
+            method: 'POST',
+            idempotent: true,
+            json: true,
+            body: {
+                issues: issueKeys
+            }
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode !== 204) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during moveIssuesToBacklog.'));
+                return;
+            }
+
+            callback(null, "Success");
+        });
+    };
+
+    // ## Find the Epic Link field ##
+    // ### Takes ###
+    //
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  fieldId: id of the Epic Link field, e.g. `customfield_10008`
+    //
+    // The id differs between JIRA instances; it is looked up in the field
+    // registry.
+    this.getEpicLinkField = function(callback) {
+        this.getFieldRegistry(function(error, registry) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var field = registry.customFieldOfType('com.pyxis.greenhopper.jira:gh-epic-link');
+            if (!field) {
+                callback(new JiraError('JIRA has no Epic Link field.', { category: JiraError.NOT_FOUND }));
+                return;
+            }
+            callback(null, field.id);
+        });
+    };
+
+    // ## List the epics of a board ##
+    // ### Takes ###
+    //
+    // *  boardId: id of the board
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  epics: array of every epic, `{ id, key, name, summary, done }`
+    //
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/board/{boardId}/epic)
+    this.listEpics = function(boardId, callback) {
+        this.collectPages(this.makeUri('/board/' + boardId + '/epic', 'rest/agile/1.0'), {}, 'Unable to connect to JIRA during listEpics.', callback);
+    };
+
+    // ## Get the issues of an epic ##
+    // ### Takes ###
+    //
+    // *  epicKey: key of the epic
+    // *  optional: fields array or options object, as for `searchJira`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  results: `{ startAt, maxResults, total, issues }` with every issue in
+    //    the epic
+    this.getEpicIssues = function(epicKey, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+
+        var self = this;
+
+        this.getEpicLinkField(function(error, fieldId) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var query = jql.field(fieldId.replace(/^customfield_(\d+)$/, 'cf[$1]')).eq(epicKey);
+            self.searchAll(query, optional, callback);
+        });
+    };
+
+    // ## Move issues into an epic ##
+    // ### Takes ###
+    //
+    // *  epicKey: key of the epic
+    // *  issueKeys: array of issue keys, at most 50
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/epic-moveIssuesToEpic)
+    this.moveIssuesToEpic = function(epicKey, issueKeys, callback) {
+        var options = {
+            uri: this.makeUri('/epic/' + epicKey + '/issue', 'rest/agile/1.0'),
+            method: 'POST',
+            idempotent: true,
+            json: true,
+            body: {
+                issues: issueKeys
+            }
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Epic not found.'));
+                return;
+            }
+
+            if (response.statusCode !== 204) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during moveIssuesToEpic.'));
+                return;
+            }
+
+            callback(null, "Success");
+        });
+    };
+
+    // ## Take issues out of their epic ##
+    // ### Takes ###
+    //
+    // *  issueKeys: array of issue keys, at most 50
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](https://docs.atlassian.com/jira-software/REST/latest/#agile/1.0/epic-removeIssuesFromEpic)
+    this.removeIssuesFromEpic = function(issueKeys, callback) {
+        this.moveIssuesToEpic('none', issueKeys, callback);
+    };
+
+    // ## Set the epic of an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key of the issue
+    // *  epicKey: key of the epic, null to take the issue out of its epic
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // Goes through `updateIssue` with the Epic Link field looked up, for
+    // JIRA instances without the Agile REST API.
+    this.setEpicLink = function(issueKey, epicKey, callback) {
+        var self = this;
+
+        this.getEpicLinkField(function(error, fieldId) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var fields = {};
+            fields[fieldId] = epicKey;
+            self.updateIssue(issueKey, { fields: fields }, callback);
+        });
+    };
+
+    // ## Create an issue link between two issues ##
+    // ### Takes ###
+    // 
+    // *  link: a link object
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError` if there was an issue, null if success 
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id296682)
+    /**
+     * Creates an issue link between two issues. Link should follow the below format:
+     *
+     * {
+     *   'linkType': 'Duplicate',
+     *   'fromIssueKey': 'HSP-1',
+     *   'toIssueKey': 'MKY-1',
+     *   'comment': {
+     *     'body': 'Linked related issue!',
+     *     'visibility': {
+     *       'type': 'GROUP',
+     *       'value': 'jira-users'
+     *     }
+     *   }
+     * }
+     *
+     * @param link
+     * @param errorCallback
+     * @param successCallback
+     */
+    this.issueLink = function(link, callback) {
+        var options = {
+            uri: this.makeUri('/issueLink'),
+            method: 'POST',
+            json: true,
+            body: link
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid project.'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during issueLink.'));
+                return;
+            }
+
+            callback(null);
+        });
+    };
+
+    // ## List issue link types ##
+    // ### Takes ###
+    //
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  array of link types
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issueLinkType)
+    /*
+     * Result items are in the format:
+     * {
+     *  "id": "1000",
+     *  "name": "Duplicate",
+     *  "inward": "is duplicated by",
+     *  "outward": "duplicates",
+     *  "self": "http://www.example.com/jira/rest/api/2/issueLinkType/1000"
+     * }
+     */
+    this.listIssueLinkTypes = function(callback) {
+        var options = {
+            uri: this.makeUri('/issueLinkType'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body.issueLinkTypes);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving issue link types.'));
+        });
+    };
+
+    // ## Find an issue link type ##
+    // ### Takes ###
+    //
+    // *  description: name of the link type, e.g. `Blocks`, or its inward or
+    //    outward description, e.g. `is blocked by`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  the link type, null when there is none; names are preferred over
+    //    descriptions and case is ignored
+    this.findIssueLinkType = function(description, callback) {
+        this.listIssueLinkTypes(function(error, linkTypes) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var wanted = description.toLowerCase();
+            var match = function(key) {
+                for (var i = 0; i < linkTypes.length; i++) {
+                    if (linkTypes[i][key].toLowerCase() === wanted) return linkTypes[i];
+                }
+                return null;
+            };
+
+            callback(null, match('name') || match('outward') || match('inward'));
+        });
+    };
+
+    // ## Get an issue link ##
+    // ### Takes ###
+    //
+    // *  linkId: id of the link
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  the link, with its `type`, `inwardIssue` and `outwardIssue`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issueLink-getIssueLink)
+    this.getIssueLink = function(linkId, callback) {
+        var options = {
+            uri: this.makeUri('/issueLink/' + linkId),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving issue link.'));
+        });
+    };
+
+    // ## Delete an issue link ##
+    // ### Takes ###
+    //
+    // *  linkId: id of the link
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issueLink-deleteIssueLink)
+    this.deleteIssueLink = function(linkId, callback) {
+        var options = {
+            uri: this.makeUri('/issueLink/' + linkId),
+            method: 'DELETE',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while deleting issue link.'));
+        });
+    };
+
+    // ## Get the remote links of an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  array of remote links
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-getRemoteIssueLinks)
+    this.getRemoteLinks = function(issueKey, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/remotelink'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving remote links.'));
+        });
+    };
+
+    // ## Add a remote link to an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  link: the remote link, or just its `object` with `url` and `title`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  the link's `id` and `self`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-createOrUpdateRemoteIssueLink)
+    //
+    // A link with the `globalId` of an existing one replaces it, so a build
+    // can be linked again without duplicates.
+    /*
+     * {
+     *  "globalId": "build=1234",
+     *  "relationship": "built by",
+     *  "object": {
+     *      "url": "https://ci.example.com/builds/1234",
+     *      "title": "Build 1234"
+     *  }
+     * }
+     */
+    this.addRemoteLink = function(issueKey, link, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/remotelink'),
+            method: 'POST',
+            json: true,
+            body: link.object ? link : { object: link }
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200 || response.statusCode === 201) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while adding remote link.'));
+        });
+    };
+
+    // ## Delete a remote link from an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  linkId: id of the remote link
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-deleteRemoteIssueLinkById)
+    this.deleteRemoteLink = function(issueKey, linkId, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/remotelink/' + linkId),
+            method: 'DELETE',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while deleting remote link.'));
+        });
+    };
+
+    // ## Get the graph of issues linked to an issue ##
+    // ### Takes ###
+    //
+    // *  rootKey: key of the issue to start from
+    // *  optional: optional object of
+    //   *  linkTypes: array of link type names or descriptions to follow,
+    //      e.g. `['Blocks']`, all by default
+    //   *  direction: `outward` to follow links the way they read, e.g. to
+    //      the issues the root blocks, `inward` for the other way, `both` by
+    //      default
+    //   *  maxDepth: links to follow from the root, defaults to 5
+    //   *  subtasks: `boolean` follow subtasks, and parents inward
+    //   *  epics: `boolean` follow the issues of epics, and epics inward
+    //   *  concurrency: issues fetched at once, defaults to 5
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  graph: an `IssueGraph` with `nodes`, `edges` and `cycles`, which
+    //    exports with `toJSON` and `toDot`; see `lib/graph.js`
+    //
+    // Issues are fetched a level at a time and each only once. Issues at
+    // `maxDepth` are described from the links that reach them and not
+    // fetched.
+    this.getIssueGraph = function(rootKey, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var self = this,
+            outward = optional.direction !== 'inward',
+            inward = optional.direction !== 'outward',
+            maxDepth = optional.maxDepth != null ? optional.maxDepth : 5,
+            concurrency = optional.concurrency || 5,
+            graph = new IssueGraph(rootKey),
+            fetched = {},
+            epicField = null;
+
+        var linkTypes = optional.linkTypes && optional.linkTypes.map(function(name) {
+            return name.toLowerCase();
+        });
+
+        var follows = function(type) {
+            if (!linkTypes) return true;
+            return [type.name, type.inward, type.outward].some(function(name) {
+                return linkTypes.indexOf(name.toLowerCase()) !== -1;
+            });
+        };
+
+        var fetch = function(key, callback) {
+            var fields = ['summary', 'status', 'issuetype', 'issuelinks', 'subtasks', 'parent'];
+            if (epicField) fields.push(epicField);
+            self.findIssue(key, fields, callback);
+        };
+
+        // Adds an issue and its neighbours to the graph and calls back with
+        // the keys of the neighbours.
+        var expand = function(key, depth, callback) {
+            fetch(key, function(error, issue) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                var fields = issue.fields,
+                    found = [];
+
+                var reach = function(other, from, to, type, label) {
+                    graph.addNode(other.key, other, depth + 1);
+                    graph.addEdge(from, to, type, label);
+                    found.push(other.key);
+                };
+
+                graph.addNode(issue.key, issue, depth);
+                if (depth >= maxDepth) {
+                    callback(null, found);
+                    return;
+                }
+
+                (fields.issuelinks || []).forEach(function(link) {
+                    if (!follows(link.type)) return;
+                    if (outward && link.outwardIssue) reach(link.outwardIssue, issue.key, link.outwardIssue.key, 'link', link.type.outward);
+                    if (inward && link.inwardIssue) reach(link.inwardIssue, link.inwardIssue.key, issue.key, 'link', link.type.outward);
+                });
+
+                if (optional.subtasks) {
+                    if (outward) {
+                        (fields.subtasks || []).forEach(function(subtask) {
+                            reach(subtask, issue.key, subtask.key, 'subtask', 'has subtask');
+                        });
+                    }
+                    if (inward && fields.parent) reach(fields.parent, fields.parent.key, issue.key, 'subtask', 'has subtask');
+                }
+
+                if (epicField && inward && fields[epicField]) {
+                    reach({ key: fields[epicField] }, fields[epicField], issue.key, 'epic', 'has issue');
+                }
+
+                if (!(epicField && outward && fields.issuetype && fields.issuetype.name === 'Epic')) {
+                    callback(null, found);
+                    return;
+                }
+
+                self.getEpicIssues(issue.key, ['summary', 'status', 'issuetype'], function(error, result) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+
+                    result.issues.forEach(function(child) {
+                        reach(child, issue.key, child.key, 'epic', 'has issue');
+                    });
+                    callback(null, found);
+                });
+            });
+        };
+
+        var level = function(keys, depth) {
+            var next = [],
+                failure = null;
+
+            keys = keys.filter(function(key, i) {
+                return !fetched[key] && keys.indexOf(key) === i;
+            });
+            keys.forEach(function(key) {
+                fetched[key] = true;
+            });
+
+            eachLimit(keys, concurrency, function(key, done) {
+                expand(key, depth, function(error, found) {
+                    if (error) failure = failure || error;
+                    else next = next.concat(found);
+                    done();
+                });
+            }, function() {
+                if (failure) {
+                    callback(failure);
+                    return;
+                }
+
+                if (next.length > 0 && depth + 1 < maxDepth) {
+                    level(next, depth + 1);
+                    return;
+                }
+
+                graph.findCycles();
+                callback(null, graph);
+            });
+        };
+
+        if (!optional.epics) {
+            level([rootKey], 0);
+            return;
+        }
+
+        this.getEpicLinkField(function(error, fieldId) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            epicField = fieldId;
+            level([rootKey], 0);
+        });
+    };
+
+    // ## Get the watchers of an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  watchers object, `{ watchCount, isWatching, watchers }`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-getIssueWatchers)
+    this.getWatchers = function(issueKey, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/watchers'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving watchers.'));
+        });
+    };
+
+    // ## Add a watcher to an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  user: username, or `{ name }` or `{ accountId }` of the user
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-addWatcher)
+    this.addWatcher = function(issueKey, user, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/watchers'),
+            method: 'POST',
+            json: true,
+            body: typeof user === 'string' ? user : user.accountId || user.name
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while adding watcher.'));
+        });
+    };
+
+    // ## Remove a watcher from an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  user: username, or `{ name }` or `{ accountId }` of the user
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-removeWatcher)
+    this.removeWatcher = function(issueKey, user, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/watchers'),
+            method: 'DELETE',
+            qs: typeof user === 'string' ? { username: user } : user.accountId ? { accountId: user.accountId } : { username: user.name },
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while removing watcher.'));
+        });
+    };
+
+    // ## Get the votes on an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  votes object, `{ votes, hasVoted, voters }`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-getVotes)
+    this.getVotes = function(issueKey, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/votes'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving votes.'));
+        });
+    };
+
+    // ## Vote for an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-addVote)
+    //
+    // Votes are cast as the logged in user, who can't vote for issues they
+    // reported.
+    this.addVote = function(issueKey, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/votes'),
+            method: 'POST',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while voting.'));
+        });
+    };
+
+    // ## Withdraw a vote for an issue ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-removeVote)
+    this.removeVote = function(issueKey, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey + '/votes'),
+            method: 'DELETE',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while removing vote.'));
+        });
+    };
+
+    // ## Get Versions for a project ##
+    // ### Takes ###
+    // *  project: A project key
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  versions: array of the versions for a product
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id289653)
+
+    this.getVersions = function(project, callback) {
+        var options = {
+            uri: this.makeUri('/project/' + project + '/versions'),
+            method: 'GET'
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid project.'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during getVersions.'));
+                return;
+            }
+
+            body = JSON.parse(body);
+            callback(null, body);
+        });
+    };
+
+    // ## Create a version ##
+    // ### Takes ###
+    //
+    // *  version: an object of the new version
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // 
+    // *  error: a `JiraError`
+    // *  version: should be the same version you passed up
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id288232)
+    //
+    /* {
+     *    "description": "An excellent version",
+     *    "name": "New Version 1",
+     *    "archived": false,
+     *    "released": true,
+     *    "releaseDate": "2010-07-05",
+     *    "userReleaseDate": "5/Jul/2010",
+     *    "project": "PXA"
+     * }
+     */
+    this.createVersion = function(version, callback) {
+        var options = {
+            uri: this.makeUri('/version'),
+            method: 'POST',
+            json: true,
+            body: version
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Version does not exist or the currently authenticated user does not have permission to view it'));
+                return;
+            }
+
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'The currently authenticated user does not have permission to edit the version'));
+                return;
+            }
+
+            if (response.statusCode !== 201) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during createVersion.'));
+                return;
+            }
+
+            callback(null, body);
+        });
+    };
+
+    // ## Update a version ##
+    // ### Takes ###
+    //
+    // *  version: an object of the version, with its `id` and the fields to
+    //    change
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  version: the version as updated
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id288232)
+    this.updateVersion = function(version, callback) {
+        var options = {
+            uri: this.makeUri('/version/' + version.id),
+            method: 'PUT',
+            json: true,
+            body: version
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Version does not exist or the currently authenticated user does not have permission to view it'));
+                return;
+            }
+
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'The currently authenticated user does not have permission to edit the version'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during updateVersion.'));
+                return;
+            }
+
+            callback(null, body);
+        });
+    };
+
+    // ## Release a version ##
+    // ### Takes ###
+    //
+    // *  versionId: id of the version
+    // *  releaseDate: optional `YYYY-MM-DD` or `Date`, defaults to today
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  version: the version as released
+    this.releaseVersion = function(versionId, releaseDate, callback) {
+        if (typeof releaseDate === 'function') {
+            callback = releaseDate;
+            releaseDate = null;
+        }
+
+        this.updateVersion({
+            id: versionId,
+            released: true,
+            releaseDate: formatDate(releaseDate || new Date())
+        }, callback);
+    };
+
+    // ## Archive a version ##
+    // ### Takes ###
+    //
+    // *  versionId: id of the version
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  version: the version as archived
+    this.archiveVersion = function(versionId, callback) {
+        this.updateVersion({
+            id: versionId,
+            archived: true
+        }, callback);
+    };
+
+    // ## Delete a version ##
+    // ### Takes ###
+    //
+    // *  versionId: id of the version
+    // *  optional: object of
+    //   *  moveFixIssuesTo: id of the version to move issues fixed in this
+    //      version to, otherwise the fix version is removed from them
+    //   *  moveAffectedIssuesTo: id of the version to move issues affected by
+    //      this version to, otherwise the affects version is removed
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id288232)
+    this.deleteVersion = function(versionId, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var qs = {};
+        if (optional.moveFixIssuesTo != null) qs.moveFixIssuesTo = optional.moveFixIssuesTo;
+        if (optional.moveAffectedIssuesTo != null) qs.moveAffectedIssuesTo = optional.moveAffectedIssuesTo;
+
+        var options = {
+            uri: this.makeUri('/version/' + versionId),
+            method: 'DELETE',
+            qs: qs,
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Version does not exist or the currently authenticated user does not have permission to view it'));
+                return;
+            }
+
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'The currently authenticated user does not have permission to delete the version'));
+                return;
+            }
+
+            if (response.statusCode !== 204) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during deleteVersion.'));
+                return;
+            }
+
+            callback(null, "Success");
+        });
+    };
+
+    // ## Move a version ##
+    // ### Takes ###
+    //
+    // *  versionId: id of the version
+    // *  move: either
+    //   *  position: `First`, `Last`, `Earlier` or `Later`
+    //   *  after: id of the version to place this version after
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  version: the version as moved
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id288232)
+    this.moveVersion = function(versionId, move, callback) {
+        var body = {};
+        if (move.after != null) {
+            body.after = /^https?:/.test(move.after) ? move.after : this.makeUri('/version/' + move.after);
+        } else {
+            body.position = move.position;
+        }
+
+        var options = {
+            uri: this.makeUri('/version/' + versionId + '/move'),
+            method: 'POST',
+            json: true,
+            body: body
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Version does not exist or the currently authenticated user does not have permission to view it'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during moveVersion.'));
+                return;
+            }
+
+            callback(null, body);
+        });
+    };
+
+    // ## Get the issue counts of a version ##
+    // ### Takes ###
+    //
+    // *  versionId: id of the version
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  counts: `{ issuesFixedCount, issuesAffectedCount }`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id288232)
+    this.getVersionRelatedIssueCounts = function(versionId, callback) {
+        var options = {
+            uri: this.makeUri('/version/' + versionId + '/relatedIssueCounts'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid version.'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during getVersionRelatedIssueCounts.'));
+                return;
+            }
+
+            callback(null, body);
+        });
+    };
+
+    // ## List the components of a project ##
+    // ### Takes ###
+    //
+    // *  project: key or id of the project
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  components: array of the project's components
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/project-getProjectComponents)
+    this.listComponents = function(project, callback) {
+        var options = {
+            uri: this.makeUri('/project/' + project + '/components'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid project.'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during listComponents.'));
+                return;
+            }
+
+            callback(null, body);
+        });
+    };
+
+    // ## Create a component ##
+    // ### Takes ###
+    //
+    // *  component: an object of the new component
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  component: the component as created, with its `id`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/component-createComponent)
+    //
+    /* {
+     *    "name": "Component 1",
+     *    "description": "This is a JIRA component",
+     *    "leadUserName": "fred",
+     *    "assigneeType": "PROJECT_LEAD",
+     *    "isAssigneeTypeValid": false,
+     *    "project": "PXA"
+     * }
+     */
+    this.createComponent = function(component, callback) {
+        var options = {
+            uri: this.makeUri('/component'),
+            method: 'POST',
+            json: true,
+            body: component
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'The currently authenticated user does not have permission to create the component'));
+                return;
+            }
+
+            if (response.statusCode !== 201) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during createComponent.'));
+                return;
+            }
+
+            callback(null, body);
+        });
+    };
+
+    // ## Update a component ##
+    // ### Takes ###
+    //
+    // *  component: an object of the component, with its `id` and the fields
+    //    to change
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  component: the component as updated
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/component-updateComponent)
+    this.updateComponent = function(component, callback) {
+        var options = {
+            uri: this.makeUri('/component/' + component.id),
+            method: 'PUT',
+            json: true,
+            body: component
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Component does not exist or the currently authenticated user does not have permission to view it'));
+                return;
+            }
+
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'The currently authenticated user does not have permission to edit the component'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during updateComponent.'));
+                return;
+            }
+
+            callback(null, body);
+        });
+    };
+
+    // ## Delete a component ##
+    // ### Takes ###
+    //
+    // *  componentId: id of the component
+    // *  optional: object of
+    //   *  moveIssuesTo: id of the component to move the component's issues
+    //      to, otherwise the component is removed from them
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/component-delete)
+    this.deleteComponent = function(componentId, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var qs = {};
+        if (optional.moveIssuesTo != null) qs.moveIssuesTo = optional.moveIssuesTo;
+
+        var options = {
+            uri: this.makeUri('/component/' + componentId),
+            method: 'DELETE',
+            qs: qs,
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Component does not exist or the currently authenticated user does not have permission to view it'));
+                return;
+            }
+
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'The currently authenticated user does not have permission to delete the component'));
+                return;
+            }
+
+            if (response.statusCode !== 204) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during deleteComponent.'));
+                return;
+            }
+
+            callback(null, "Success");
+        });
+    };
+
+    // ## Get the issue count of a component ##
+    // ### Takes ###
+    //
+    // *  componentId: id of the component
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  count: number of issues in the component
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/component-getComponentRelatedIssues)
+    this.getComponentIssueCount = function(componentId, callback) {
+        var options = {
+            uri: this.makeUri('/component/' + componentId + '/relatedIssueCounts'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid component.'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during getComponentIssueCount.'));
+                return;
+            }
+
+            callback(null, body.issueCount);
+        });
+    };
+
+    // ## Get the roles of a project ##
+    // ### Takes ###
+    //
+    // *  project: key or id of the project
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  roles: object of role ids keyed by role name
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/project/{projectIdOrKey}/role)
+    //
+    // JIRA answers with the url of each role; the id is the last part of it.
+    this.getProjectRoles = function(project, callback) {
+        var options = {
+            uri: this.makeUri('/project/' + project + '/role'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid project.'));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during getProjectRoles.'));
+                return;
+            }
+
+            var roles = {};
+            for (var name in body) roles[name] = Number(body[name].split('/').pop());
+            callback(null, roles);
+        });
+    };
+
+    // ## Add users or groups to a project role ##
+    // ### Takes ###
+    //
+    // *  project: key or id of the project
+    // *  role: id or name of the role, e.g. `Developers`
+    // *  actors: object of
+    //   *  user: array of usernames
+    //   *  group: array of group names
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  role: the role with its actors
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/project/{projectIdOrKey}/role-addActorUsers)
+    this.addActorToRole = function(project, role, actors, callback) {
+        var self = this;
+
+        var add = function(roleId) {
+            var options = {
+                uri: self.makeUri('/project/' + project + '/role/' + roleId),
+                method: 'POST',
+                json: true,
+                body: actors
+            };
+
+            self.doRequest(options, function(error, response, body) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                if (response.statusCode === 404) {
+                    callback(JiraError.fromResponse(options, response, body, 'Invalid project or role.'));
+                    return;
+                }
+
+                if (response.statusCode !== 200) {
+                    callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during addActorToRole.'));
+                    return;
+                }
+
+                callback(null, body);
+            });
+        };
+
+        if (/^\d+$/.test(role)) {
+            add(role);
+            return;
+        }
+
+        this.getProjectRoles(project, function(error, roles) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            for (var name in roles) {
+                if (name.toLowerCase() === String(role).toLowerCase()) {
+                    add(roles[name]);
+                    return;
+                }
+            }
+            callback(new JiraError('Project ' + project + ' has no role ' + role + '.', { category: JiraError.NOT_FOUND }));
+        });
+    };
+    
+    // ## Pass a search query to Jira ##
+    // ### Takes ###
+    //
+    // *  searchString: jira query string, or a query from `lib/jql.js`; `null`,
+    //    as from an empty `jql.and()`, matches every issue
+    // *  optional: an array of desired fields, or an object of
+    //   *  fields: array of desired fields, by id or name, defaults when null: 
+    //     *  "summary"
+    //     *  "status"
+    //     *  "assignee"
+    //     *  "description" 
+    //   *  startAt: index of the first issue to return, defaults to 0
+    //   *  maxResults: size of the page, JIRA's default (50) when null
+    //   *  expand: array of parts to expand, e.g. `['changelog']`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // 
+    // *  error: a `JiraError`
+    // *  results: a page of results, `{ startAt, maxResults, total, issues }`;
+    //    fields asked for by name are keyed by that name
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id296043)
+    //
+    this.searchJira = function(searchString, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = searchOptions(optional);
+
+        var self = this,
+            fields = optional.fields || ["summary", "status", "assignee", "description"];
+
+        this.withFieldRegistry(fields, function(error, registry) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var ids = fields;
+            if (registry) {
+                try {
+                    ids = fields.map(function(field) {
+                        return registry.idFor(field);
+                    });
+                } catch (e) {
+                    callback(e);
+                    return;
+                }
+            }
+
+            var body = {
+                jql: searchString == null ? '' : String(searchString),
+                startAt: optional.startAt || 0,
+                fields: ids
+            };
+            if (optional.maxResults != null) body.maxResults = optional.maxResults;
+            if (optional.expand) {
+                body.expand = typeof optional.expand === 'string' ? optional.expand.split(',') : optional.expand;
+            }
+
+            var options = {
+                uri: self.makeUri('/search'),
+                method: 'POST',
+                idempotent: true,
+                json: true,
+                body: body
+            };
+
+            self.doRequest(options, function(error, response, body) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                if (response.statusCode === 400) {
+                    callback(JiraError.fromResponse(options, response, body, 'Problem with the JQL query'));
+                    return;
+                }
+
+                if (response.statusCode !== 200) {
+                    callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during search.'));
+                    return;
+                }
+
+                // Fields asked for by name are returned under that name.
+                for (var i = 0; i < body.issues.length; i++) {
+                    nameFields(body.issues[i], fields, ids);
+                }
+
+                callback(null, body);
+            });
+        });
+    };
+
+    // ## Search Jira for every matching issue ##
+    // ### Takes ###
+    //
+    // *  searchString: jira query string
+    // *  optional: fields array or options object, as for `searchJira`;
+    //    `maxResults` sets the size of each page
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  results: `{ startAt, maxResults, total, issues }` with every issue
+    //
+    // Fetches the pages one after another and holds all of them in memory;
+    // use `searchStream` for large result sets.
+    this.searchAll = function(searchString, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+
+        var issues = [];
+
+        this.searchStream(searchString, optional)
+            .on('data', function(issue) {
+                issues.push(issue);
+            })
+            .on('error', function(error) {
+                callback(error);
+            })
+            .on('end', function() {
+                callback(null, {
+                    startAt: 0,
+                    maxResults: issues.length,
+                    total: issues.length,
+                    issues: issues
+                });
+            });
+    };
+
+    // ## Stream every issue matching a search ##
+    // ### Takes ###
+    //
+    // *  searchString: jira query string
+    // *  optional: fields array or options object, as for `searchJira`;
+    //    `maxResults` sets the size of each page
+    //
+    // ### Returns ###
+    //
+    // *  a readable object stream of issues, which is also an async iterator:
+    //
+    //     for await (var issue of jira.searchStream('project = ABC')) {
+    //         console.log(issue.key);
+    //     }
+    //
+    // The next page is only fetched once the consumer has read the previous
+    // one.
+    this.searchStream = function(searchString, optional) {
+        optional = searchOptions(optional);
+
+        var self = this,
+            stream = new Readable({ objectMode: true }),
+            page = {},
+            fetching = false;
+
+        for (var key in optional) page[key] = optional[key];
+        page.startAt = page.startAt || 0;
+
+        stream._read = function() {
+            if (fetching) return;
+            fetching = true;
+
+            self.searchJira(searchString, page, function(error, results) {
+                fetching = false;
+                if (error) {
+                    stream.destroy(error);
+                    return;
+                }
+
+                for (var i = 0; i < results.issues.length; i++) {
+                    stream.push(results.issues[i]);
+                }
+
+                page.startAt += results.issues.length;
+                if (results.issues.length === 0 || page.startAt >= results.total) {
+                    stream.push(null);
+                }
+            });
+        };
+
+        return stream;
+    };
+    
+    // ## Get issues related to a user ##
+    // ### Takes ###
+    //
+    // *  user: username of user to search for
+    // *  open: `boolean` determines if only open issues should be returned
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // 
+    // *  error: a `JiraError`
+    // *  issues: array of issues for the user
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id296043)
+    //
+    this.getUsersIssues = function(username, open, callback) {
+        var query = jql.field('assignee').eq(username);
+        if (open) query = query.and(jql.field('status').in(['Open', 'In Progress', 'Reopened']));
+        this.searchJira(query, null, callback);
+    };
+
+    // ## Collect a list of users ##
+    // ### Takes ###
+    //
+    // *  uri: uri of the list
+    // *  qs: query of the list
+    // *  optional: optional object of
+    //   *  startAt, maxResults: fetch only this page, otherwise every page
+    //      is fetched
+    // *  message: what failed, for the error
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    //
+    // *  error: a `JiraError`
+    // *  users: array of users
+    //
+    // User lists are plain arrays without a total, so pages are fetched
+    // until one comes back short.
+    this.collectUsers = function(uri, qs, optional, message, callback) {
+        optional = optional || {};
+
+        var self = this,
+            single = optional.startAt != null || optional.maxResults != null,
+            pageSize = optional.maxResults || 50,
+            startAt = optional.startAt || 0,
+            users = [];
+
+        var next = function() {
+            var query = {};
+            for (var key in qs) query[key] = qs[key];
+            query.startAt = startAt;
+            query.maxResults = pageSize;
+
+            var options = {
+                uri: uri,
+                method: 'GET',
+                qs: query,
+                json: true
+            };
+
+            self.doRequest(options, function(error, response, body) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                if (response.statusCode !== 200) {
+                    callback(JiraError.fromResponse(options, response, body, message));
+                    return;
+                }
+
+                users = users.concat(body);
+                startAt += body.length;
+                if (single || body.length < pageSize) {
+                    callback(null, users);
+                    return;
+                }
+                next();
+            });
+        };
+
+        next();
+    };
+
+    // ## Find users ##
+    // ### Takes ###
+    //
+    // *  query: start of a username, display name or email address
+    // *  optional: optional object of
+    //   *  includeInactive: `boolean` include inactive users
+    //   *  startAt, maxResults: fetch only this page of users, otherwise
+    //      every match is fetched
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  array of users
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/user-findUsers)
+    this.findUsers = function(query, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        this.collectUsers(this.makeUri('/user/search'), {
+            username: query,
+            includeInactive: !!optional.includeInactive
+        }, optional, 'Error while finding users.', callback);
+    };
+
+    // ## Get a user ##
+    // ### Takes ###
+    //
+    // *  user: username, or `{ name }` or `{ accountId }` of the user
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  user object, with its `groups` and `applicationRoles`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/user-getUser)
+    this.getUser = function(user, callback) {
+        var qs = typeof user === 'string' ? { username: user } : user.accountId ? { accountId: user.accountId } : { username: user.name };
+        qs.expand = 'groups,applicationRoles';
+
+        var options = {
+            uri: this.makeUri('/user'),
+            method: 'GET',
+            qs: qs,
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving user.'));
+        });
+    };
+
+    // ## Find users an issue can be assigned to ##
+    // ### Takes ###
+    //
+    // *  projectOrIssueKey: key of a project, for new issues, or of an issue
+    // *  optional: optional object of
+    //   *  query: start of a username, display name or email address
+    //   *  startAt, maxResults: fetch only this page of users, otherwise
+    //      every match is fetched
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  array of users
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/user-findAssignableUsers)
+    this.getAssignableUsers = function(projectOrIssueKey, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var qs = {};
+        qs[/-\d+$/.test(projectOrIssueKey) ? 'issueKey' : 'project'] = projectOrIssueKey;
+        if (optional.query) qs.username = optional.query;
+
+        this.collectUsers(this.makeUri('/user/assignable/search'), qs, optional, 'Error while finding assignable users.', callback);
+    };
+
+    // ## Get the logged in user ##
+    // ### Takes ###
+    //
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  user object
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/myself)
+    this.getMyself = function(callback) {
+        var options = {
+            uri: this.makeUri('/myself'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving the logged in user.'));
+        });
+    };
+
+    // ## List the members of a group ##
+    // ### Takes ###
+    //
+    // *  group: name of the group
+    // *  optional: optional object of
+    //   *  includeInactive: `boolean` include inactive users
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  array of every member of the group
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/group-getUsersFromGroup)
+    this.getGroupMembers = function(group, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        this.collectPages(this.makeUri('/group/member'), {
+            groupname: group,
+            includeInactiveUsers: !!optional.includeInactive
+        }, 'Error while listing group members.', callback);
+    };
+
+    // ## Get the create metadata of an issue type ##
+    // ### Takes ###
+    //
+    // *  project: key or id of the project
+    // *  issueType: name or id of the issue type
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`, `not-found` when the project has no such issue
+    //    type or the user can't create issues in it
+    // *  issue type object, with the create screen's `fields` keyed by id
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-getCreateIssueMeta)
+    //
+    // The metadata is fetched once per project and issue type; set
+    // `createMeta` to `{}` to fetch it again after the screens changed.
+    /*
+     * The result is in the format:
+     * {
+     *  "id": "10001",
+     *  "name": "Story",
+     *  "fields": {
+     *      "priority": {
+     *          "required": false,
+     *          "schema": { "type": "priority", "system": "priority" },
+     *          "name": "Priority",
+     *          "hasDefaultValue": true,
+     *          "allowedValues": [
+     *              { "id": "1", "name": "Highest" }
+     *          ]
+     *      }
+     *  }
+     * }
+     */
+    this.getCreateMeta = function(project, issueType, callback) {
+        var cacheKey = project + '/' + issueType;
+        if (this.createMeta[cacheKey]) {
+            callback(null, this.createMeta[cacheKey]);
+            return;
+        }
+
+        var qs = { expand: 'projects.issuetypes.fields' };
+        qs[/^\d+$/.test(project) ? 'projectIds' : 'projectKeys'] = project;
+        qs[/^\d+$/.test(issueType) ? 'issuetypeIds' : 'issuetypeNames'] = issueType;
+
+        var options = {
+            uri: this.makeUri('/issue/createmeta'),
+            method: 'GET',
+            qs: qs,
+            json: true
+        };
+
+        var self = this;
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Error while retrieving create metadata.'));
+                return;
+            }
+
+            var projects = body.projects || [],
+                issueTypes = projects.length > 0 ? projects[0].issuetypes || [] : [];
+
+            if (issueTypes.length === 0) {
+                callback(new JiraError('Cannot create ' + issueType + ' issues in project ' + project + '.', {
+                    category: JiraError.NOT_FOUND
+                }));
+                return;
+            }
+
+            self.createMeta[cacheKey] = issueTypes[0];
+            callback(null, issueTypes[0]);
+        });
+    };
+
+    // ## Validate a new issue ##
+    // ### Takes ###
+    //
+    // *  issue: Properly Formatted Issue, its `fields` and `update` keyed by
+    //    field id or name
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError` when the metadata couldn't be fetched
+    // *  report: `{ valid, errors }`, `errors` keyed by field as given in
+    //    the issue; see `lib/validate.js`
+    //
+    // The issue is checked against the create metadata of its project and
+    // issue type: required fields, types and allowed values.
+    this.validateIssue = function(issue, callback) {
+        var fields = issue.fields || {},
+            keys = Object.keys(fields).concat(Object.keys(issue.update || {})),
+            self = this;
+
+        this.withFieldRegistry(keys, function(error, registry) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var ids = {},
+                translated;
+            try {
+                for (var i = 0; i < keys.length; i++) {
+                    ids[registry ? registry.idFor(keys[i]) : keys[i]] = keys[i];
+                }
+                translated = registry ? registry.translateIssue(issue) : issue;
+            } catch (e) {
+                callback(e);
+                return;
+            }
+
+            var project = translated.fields && translated.fields.project,
+                issueType = translated.fields && translated.fields.issuetype,
+                errors = {};
+
+            if (!project || !(project.key || project.id)) errors[ids.project || 'project'] = 'Project is required.';
+            if (!issueType || !(issueType.name || issueType.id)) errors[ids.issuetype || 'issuetype'] = 'Issue Type is required.';
+            if (Object.keys(errors).length > 0) {
+                callback(null, { valid: false, errors: errors });
+                return;
+            }
+
+            self.getCreateMeta(project.key || project.id, issueType.name || issueType.id, function(error, meta) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                callback(null, validate.validateIssue(meta, translated, ids));
+            });
+        });
+    };
+
+    // ## Add issue to Jira ##
+    // ### Takes ###
+    //
+    // *  issue: Properly Formatted Issue, its `fields` and `update` keyed by
+    //    field id or name
+    // *  optional: optional object of
+    //   *  validate: `boolean` check the issue with `validateIssue` first
+    //      and don't post it when it is invalid
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`; an invalid issue is a `validation` error with
+    //    the report's `errors`
+    // *  success object
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290028)
+    this.addNewIssue = function(issue, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var self = this;
+
+        var post = function() {
+            self.resolveFieldNames(issue, function(error, issue) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                var options = {
+                    uri: self.makeUri('/issue'),
+                    method: 'POST',
+                    json: true,
+                    body: issue
+                };
+
+                self.doRequest(options, function(error, response, body) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+
+                    if (response.statusCode === 400) {
+                        callback(JiraError.fromResponse(options, response, body, 'Invalid issue.'));
+                        return;
+                    }
+
+                    if ((response.statusCode !== 200) && (response.statusCode !== 201)) {
+                        callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during addNewIssue.'));
+                        return;
+                    }
+
+                    callback(null, body);
+                });
+            });
+        };
+
+        if (!optional.validate) {
+            post();
+            return;
+        }
+
+        this.validateIssue(issue, function(error, report) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (!report.valid) {
+                var reasons = Object.keys(report.errors).map(function(field) {
+                    return field + ': ' + report.errors[field];
+                });
+                callback(new JiraError('Invalid issue. ' + reasons.join('; '), {
+                    category: JiraError.VALIDATION,
+                    errors: report.errors
+                }));
+                return;
+            }
+            post();
+        });
+    };
+    // ## Add many issues to Jira ##
+    // ### Takes ###
+    //
+    // *  issues: array of Properly Formatted Issues, as for `addNewIssue`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError` when JIRA couldn't be asked at all
+    // *  results: array in the order of `issues`, each `{ issue }` with the
+    //    created issue's `id`, `key` and `self`, or `{ error }` with a
+    //    `JiraError` for an issue JIRA refused
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue-createIssues)
+    //
+    // Issues are posted 50 at a time, the most JIRA takes in one request.
+    this.addNewIssues = function(issues, callback) {
+        var self = this,
+            results = [],
+            keys = [];
+
+        for (var i = 0; i < issues.length; i++) {
+            keys = keys.concat(Object.keys(issues[i].fields || {}), Object.keys(issues[i].update || {}));
+        }
+
+        var next = function(registry) {
+            var offset = results.length,
+                chunk = issues.slice(offset, offset + 50);
+
+            if (chunk.length === 0) {
+                callback(null, results);
+                return;
+            }
+
+            try {
+                if (registry) chunk = chunk.map(registry.translateIssue, registry);
+            } catch (e) {
+                callback(e);
+                return;
+            }
+
+            var options = {
+                uri: self.makeUri('/issue/bulk'),
+                method: 'POST',
+                json: true,
+                body: { issueUpdates: chunk }
+            };
+
+            self.doRequest(options, function(error, response, body) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                if (response.statusCode !== 201 && !(response.statusCode === 400 && body && body.errors instanceof Array)) {
+                    callback(JiraError.fromResponse(options, response, body, 'Unable to connect to JIRA during addNewIssues.'));
+                    return;
+                }
+
+                var failed = {};
+                (body.errors || []).forEach(function(failure) {
+                    failed[failure.failedElementNumber] = JiraError.fromResponse(options, { statusCode: failure.status }, failure.elementErrors, 'Invalid issue.');
+                });
+
+                var created = (body.issues || []).slice();
+                for (var i = 0; i < chunk.length; i++) {
+                    results.push(failed[i] ? { error: failed[i] } : { issue: created.shift() });
+                }
+                next(registry);
+            });
+        };
+
+        this.withFieldRegistry(keys, function(error, registry) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            next(registry);
+        });
+    };
+    // ## Delete issue to Jira ##
+    // ### Takes ###
+    //
+    // *  issueId: the Id of the issue to delete
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success object
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290791)
+    this.deleteIssue = function(issueNum, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueNum),
+            method: 'DELETE',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+
+            callback(JiraError.fromResponse(options, response, body, 'Error while deleting.'));
+        });
+    };
+    // ## Update issue in Jira ##
+    // ### Takes ###
+    //
+    // *  issueId: the Id of the issue to delete
+    // *  issueUpdate: update Object, its `fields` and `update` keyed by field
+    //    id or name
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290878)
+    this.updateIssue = function(issueNum, issueUpdate, callback) {
+        var self = this;
+
+        this.resolveFieldNames(issueUpdate, function(error, issueUpdate) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var options = {
+                uri: self.makeUri('/issue/' + issueNum),
+                body: issueUpdate,
+                method: 'PUT',
+                json: true
+            };
+
+            self.doRequest(options, function(error, response, body) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                if (response.statusCode === 200 || response.statusCode === 204) {
+                    callback(null, "Success");
+                    return;
+                }
+                callback(JiraError.fromResponse(options, response, body, 'Error while updating.'));
+            });
+        });
+    };
+    // ## List Transitions ##
+    // ### Takes ###
+    //
+    // *  issueId: get transitions available for the issue
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  array of transitions
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290489)
+    /*
+     *  {
+     *  "expand": "transitions",
+     *  "transitions": [
+     *      {
+     *          "id": "2",
+     *          "name": "Close Issue",
+     *          "to": {
+     *              "self": "http://localhostname:8090/jira/rest/api/2.0/status/10000",
+     *              "description": "The issue is currently being worked on.",
+     *              "iconUrl": "http://localhostname:8090/jira/images/icons/progress.gif",
+     *              "name": "In Progress",
+     *              "id": "10000"
+     *          },
+     *          "fields": {
+     *              "summary": {
+     *                  "required": false,
+     *                  "schema": {
+     *                      "type": "array",
+     *                      "items": "option",
+     *                      "custom": "com.atlassian.jira.plugin.system.customfieldtypes:multiselect",
+     *                      "customId": 10001
+     *                  },
+     *                  "name": "My Multi Select",
+     *                  "operations": [
+     *                      "set",
+     *                      "add"
+     *                  ],
+     *                  "allowedValues": [
+     *                      "red",
+     *                      "blue"
+     *                  ]
+     *              }
+     *          }
+     *      }
+     *  ]}
+     */
+    this.listTransitions = function(issueId, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/transitions'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body.transitions);
+                return;
+            }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Issue not found'));
+                return;
+            }
+
+            callback(JiraError.fromResponse(options, response, body, 'Error while listing transitions.'));
+        });
+    };
+    // ## Transition issue in Jira ##
+    // ### Takes ###
+    //
+    // *  issueId: the Id of the issue to delete
+    // *  issueTransition: transition Object
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290489)
+    this.transitionIssue = function(issueNum, issueTransition, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueNum + '/transitions'),
+            body: issueTransition,
+            method: 'POST',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while transitioning.'));
+        });
+    };
+
+    // ## Transition issue to a status ##
+    // ### Takes ###
+    //
+    // *  issueKey: key or id of the issue
+    // *  target: name of the status or the transition to take, or an array
+    //    of them to walk a path through the workflow, e.g.
+    //    `['In Progress', 'Done']`
+    // *  optional: optional object, used for the last transition only, of
+    //   *  resolution: name of the resolution, or a resolution object
+    //   *  comment: text of a comment to add
+    //   *  fields: fields to set on the transition screen, keyed by field id
+    //      or name
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`, `validation` when no transition leads to a
+    //    step from the issue's status
+    // *  success string
+    //
+    // Each step is matched, ignoring case, against the names of the
+    // transitions available and the statuses they lead to. Steps naming the
+    // status the issue is already in are skipped.
+    this.transitionIssueTo = function(issueKey, target, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var self = this,
+            steps = target instanceof Array ? target.slice() : [target],
+            status;
+
+        var lastPayload = function(transition) {
+            var payload = { transition: { id: transition.id } },
+                fields = {};
+
+            for (var key in optional.fields) fields[key] = optional.fields[key];
+            if (optional.resolution) {
+                fields.resolution = typeof optional.resolution === 'string' ? { name: optional.resolution } : optional.resolution;
+            }
+            if (Object.keys(fields).length > 0) payload.fields = fields;
+            if (optional.comment) payload.update = { comment: [{ add: { body: optional.comment } }] };
+            return payload;
+        };
+
+        var next = function() {
+            while (steps.length > 0 && steps[0].toLowerCase() === status.toLowerCase()) steps.shift();
+            if (steps.length === 0) {
+                callback(null, "Success");
+                return;
+            }
+
+            var step = steps.shift();
+            self.listTransitions(issueKey, function(error, transitions) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                var wanted = step.toLowerCase(),
+                    transition = null;
+                for (var i = 0; i < transitions.length && !transition; i++) {
+                    if (transitions[i].name.toLowerCase() === wanted) transition = transitions[i];
+                }
+                for (var j = 0; j < transitions.length && !transition; j++) {
+                    if (transitions[j].to && transitions[j].to.name.toLowerCase() === wanted) transition = transitions[j];
+                }
+
+                if (!transition) {
+                    var available = transitions.map(function(transition) {
+                        return transition.name + (transition.to ? ' (to ' + transition.to.name + ')' : '');
+                    });
+                    callback(new JiraError('Cannot transition ' + issueKey + ' from ' + status + ' to ' + step +
+                        '; available: ' + (available.join(', ') || 'none') + '.', { category: JiraError.VALIDATION }));
+                    return;
+                }
+
+                var payload = steps.length === 0 ? lastPayload(transition) : { transition: { id: transition.id } };
+                self.resolveFieldNames(payload, function(error, payload) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+
+                    self.transitionIssue(issueKey, payload, function(error) {
+                        if (error) {
+                            callback(error);
+                            return;
+                        }
+                        status = transition.to ? transition.to.name : step;
+                        next();
+                    });
+                });
+            });
+        };
+
+        var options = {
+            uri: this.makeUri('/issue/' + issueKey),
+            method: 'GET',
+            qs: { fields: 'status' },
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                callback(JiraError.fromResponse(options, response, body, 'Error while retrieving the status of ' + issueKey + '.'));
+                return;
+            }
+
+            status = body.fields.status.name;
+            next();
+        });
+    };
+
+    // ## Update many issues ##
+    // ### Takes ###
+    //
+    // *  jqlOrKeys: a JQL query, or an array of issue keys
+    // *  update: update Object as for `updateIssue`, or null to only
+    //    transition
+    // *  optional: optional object of
+    //   *  concurrency: issues updated at once, defaults to 5
+    //   *  transition: status or transition name, or a path of them, to move
+    //      every issue to with `transitionIssueTo`; or a transition object
+    //      for `transitionIssue`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError` when the query failed
+    // *  summary: `{ total, succeeded, failed }`, `succeeded` the keys of the
+    //    issues changed, `failed` an array of `{ key, error }`
+    //
+    // The issues matching a query are all looked up before the first one is
+    // changed, so updates that take issues out of the query don't affect
+    // which are updated.
+    this.bulkUpdate = function(jqlOrKeys, update, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var self = this,
+            concurrency = optional.concurrency || 5,
+            transition = optional.transition;
+
+        var change = function(key, done) {
+            var transitioned = function(error) {
+                if (error) {
+                    done(error);
+                    return;
+                }
+                if (transition == null) done(null);
+                else if (typeof transition === 'string' || transition instanceof Array) self.transitionIssueTo(key, transition, done);
+                else self.transitionIssue(key, transition, done);
+            };
+
+            if (update) self.updateIssue(key, update, transitioned);
+            else transitioned(null);
+        };
+
+        var run = function(keys) {
+            var summary = {
+                total: keys.length,
+                succeeded: [],
+                failed: []
+            };
+
+            eachLimit(keys, concurrency, function(key, done) {
+                change(key, function(error) {
+                    if (error) summary.failed.push({ key: key, error: error });
+                    else summary.succeeded.push(key);
+                    done();
+                });
+            }, function() {
+                callback(null, summary);
+            });
+        };
+
+        if (jqlOrKeys instanceof Array) {
+            run(jqlOrKeys);
+            return;
+        }
+
+        this.searchAll(jqlOrKeys, ['summary'], function(error, result) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            run(result.issues.map(function(issue) {
+                return issue.key;
+            }));
+        });
+    };
+    
+    // ## List all Viewable Projects ##
+    // ### Takes ###
+    //
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  array of projects
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id289193)
+    /*
+     * Result items are in the format:
+     * {
+     *      "self": "http://www.example.com/jira/rest/api/2/project/ABC",
+     *      "id": "10001",
+     *      "key": "ABC",
+     *      "name": "Alphabetical",
+     *      "avatarUrls": {
+     *          "16x16": "http://www.example.com/jira/secure/projectavatar?size=small&pid=10001",
+     *          "48x48": "http://www.example.com/jira/secure/projectavatar?size=large&pid=10001"
+     *      }
+     * }
+     */
+    this.listProjects = function(callback) {
+        var options = {
+            uri: this.makeUri('/project'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            if (response.statusCode === 500) {
+                callback(JiraError.fromResponse(options, response, body, 'Error while retrieving list.'));
+                return;
+            }
+
+            callback(JiraError.fromResponse(options, response, body, 'Error while listing projects.'));
+        });
+    };
+    // ## Add a worklog to a project ##
+    // ### Takes ###
+    // *  issueId: Issue to add a worklog to
+    // *  worklog: worklog object
+    // *  estimate: optional, how to adjust the remaining estimate, an object of
+    //   *  adjustEstimate: `auto` (the default), `new`, `manual` or `leave`
+    //   *  newEstimate: the new remaining estimate, e.g. `2d`, implies `new`
+    //   *  reduceBy: how much to reduce the estimate by, e.g. `1h`, implies
+    //      `manual`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id291617)
+    /*
+     * Worklog item is in the format:
+     *  {
+     *      "self": "http://www.example.com/jira/rest/api/2.0/issue/10010/worklog/10000",
+     *      "author": {
+     *          "self": "http://www.example.com/jira/rest/api/2.0/user?username=fred",
+     *          "name": "fred",
+     *          "displayName": "Fred F. User",
+     *          "active": false
+     *      },
+     *      "updateAuthor": {
+     *          "self": "http://www.example.com/jira/rest/api/2.0/user?username=fred",
+     *          "name": "fred",
+     *          "displayName": "Fred F. User",
+     *          "active": false
+     *      },
+     *      "comment": "I did some work here.",
+     *      "visibility": {
+     *          "type": "group",
+     *          "value": "jira-developers"
+     *      },
+     *      "started": "2012-11-22T04:19:46.736-0600",
+     *      "timeSpent": "3h 20m",
+     *      "timeSpentSeconds": 12000,
+     *      "id": "100028"
+     *  }
+     */
+    this.addWorklog = function(issueId, worklog, estimate, callback) {
+        if (typeof estimate === 'function') {
+            callback = estimate;
+            estimate = null;
+        }
+
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/worklog'),
+            qs: estimateQuery(estimate),
+            body: worklog,
+            method: 'POST',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 201) {
+                callback(null, "Success");
+                return;
+            }
+            if (response.statusCode === 400) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid worklog fields.'));
+                return;
+            }
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'Insufficient Permissions'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while adding worklog.'));
+        });
+    };
+    // ## List the worklogs of an issue ##
+    // ### Takes ###
+    // *  issueId: Issue to list the worklogs of
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  `{ startAt, maxResults, total, worklogs }`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id291617)
+    this.getWorklogs = function(issueId, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/worklog'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Issue not found'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while listing worklogs.'));
+        });
+    };
+    // ## Update a worklog ##
+    // ### Takes ###
+    // *  issueId: Issue the worklog belongs to
+    // *  worklogId: id of the worklog
+    // *  worklog: worklog object with the fields to change
+    // *  estimate: optional, how to adjust the remaining estimate, as for
+    //    `addWorklog`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  the worklog as updated
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id291617)
+    this.updateWorklog = function(issueId, worklogId, worklog, estimate, callback) {
+        if (typeof estimate === 'function') {
+            callback = estimate;
+            estimate = null;
+        }
+
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/worklog/' + worklogId),
+            qs: estimateQuery(estimate),
+            body: worklog,
+            method: 'PUT',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            if (response.statusCode === 400) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid worklog fields.'));
+                return;
+            }
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'Insufficient Permissions'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while updating worklog.'));
+        });
+    };
+    // ## Delete a worklog ##
+    // ### Takes ###
+    // *  issueId: Issue the worklog belongs to
+    // *  worklogId: id of the worklog
+    // *  estimate: optional, how to adjust the remaining estimate, as for
+    //    `addWorklog` but with `increaseBy` in place of `reduceBy`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id291617)
+    this.deleteWorklog = function(issueId, worklogId, estimate, callback) {
+        if (typeof estimate === 'function') {
+            callback = estimate;
+            estimate = null;
+        }
+
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/worklog/' + worklogId),
+            qs: estimateQuery(estimate),
+            method: 'DELETE',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            if (response.statusCode === 400) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid estimate adjustment.'));
+                return;
+            }
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'Insufficient Permissions'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while deleting worklog.'));
+        });
+    };
+    // ## Total the time logged per author ##
+    // ### Takes ###
+    // *  searchString: jira query string, or a query from `lib/jql.js`
+    // *  optional: object of
+    //   *  startedAfter: only count work started at or after this `Date`
+    //   *  startedBefore: only count work started before this `Date`
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  timesheet: an object keyed by author, e.g.
+    //
+    //     {
+    //         "fred": {
+    //             "displayName": "Fred F. User",
+    //             "timeSpentSeconds": 43200,
+    //             "issues": { "ABC-1": 28800, "ABC-7": 14400 }
+    //         }
+    //     }
+    //
+    // Issues are streamed from the search; issues with more worklogs than
+    // the search returns have theirs fetched with `getWorklogs`.
+    this.getTimesheet = function(searchString, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var self = this,
+            timesheet = {},
+            after = optional.startedAfter ? new Date(optional.startedAfter).getTime() : -Infinity,
+            before = optional.startedBefore ? new Date(optional.startedBefore).getTime() : Infinity,
+            stream = this.searchStream(searchString, { fields: ['worklog'] }),
+            failed = false;
+
+        var tally = function(issue, worklogs) {
+            for (var i = 0; i < worklogs.length; i++) {
+                var worklog = worklogs[i],
+                    started = new Date(worklog.started).getTime();
+                if (started < after || started >= before) continue;
+
+                var author = worklog.author || {},
+                    id = author.name || author.accountId || author.displayName,
+                    entry = timesheet[id];
+                if (!entry) {
+                    entry = timesheet[id] = {
+                        displayName: author.displayName,
+                        timeSpentSeconds: 0,
+                        issues: {}
+                    };
+                }
+                entry.timeSpentSeconds += worklog.timeSpentSeconds;
+                entry.issues[issue.key] = (entry.issues[issue.key] || 0) + worklog.timeSpentSeconds;
+            }
+        };
+
+        var fail = function(error) {
+            if (failed) return;
+            failed = true;
+            stream.destroy();
+            callback(error);
+        };
+
+        stream.on('data', function(issue) {
+            var embedded = issue.fields.worklog || { total: 0, worklogs: [] };
+            if (embedded.worklogs.length >= embedded.total) {
+                tally(issue, embedded.worklogs);
+                return;
+            }
+
+            stream.pause();
+            self.getWorklogs(issue.key, function(error, result) {
+                if (error) {
+                    fail(error);
                     return;
                 }
-                callback(response.statusCode + ': Error while updating');
+                tally(issue, result.worklogs);
+                stream.resume();
             });
         });
+        stream.on('error', fail);
+        stream.on('end', function() {
+            if (!failed) callback(null, timesheet);
+        });
     };
-    // ## List Transitions ##
+    // ## List the comments of an issue ##
     // ### Takes ###
+    // *  issueId: Issue to list the comments of
+    // *  optional: object of
+    //   *  startAt: index of the first comment to return
+    //   *  maxResults: size of the page
+    //   *  orderBy: `created` or `-created`
+    // *  callback: for when it's done
     //
-    // *  issueId: get transitions available for the issue
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  a page of comments, `{ startAt, maxResults, total, comments }`
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue/{issueIdOrKey}/comment)
+    this.getComments = function(issueId, optional, callback) {
+        if (typeof optional === 'function') {
+            callback = optional;
+            optional = null;
+        }
+        optional = optional || {};
+
+        var qs = {};
+        if (optional.startAt != null) qs.startAt = optional.startAt;
+        if (optional.maxResults != null) qs.maxResults = optional.maxResults;
+        if (optional.orderBy) qs.orderBy = optional.orderBy;
+
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/comment'),
+            method: 'GET',
+            qs: qs,
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Issue not found'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while listing comments.'));
+        });
+    };
+    // ## Add a comment to an issue ##
+    // ### Takes ###
+    // *  issueId: Issue to add a comment to
+    // *  comment: the text of the comment, or a comment object
+    // *  visibility: optional restriction of who can see the comment,
+    //    e.g. `{ type: 'role', value: 'Developers' }` or
+    //    `{ type: 'group', value: 'jira-developers' }`
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error string
-    // *  array of transitions
+    // *  error: a `JiraError`
+    // *  the comment as created
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290489)
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue/{issueIdOrKey}/comment)
     /*
+     * Comment item is in the format:
      *  {
-     *  "expand": "transitions",
-     *  "transitions": [
-     *      {
-     *          "id": "2",
-     *          "name": "Close Issue",
-     *          "to": {
-     *              "self": "http://localhostname:8090/jira/rest/api/2.0/status/10000",
-     *              "description": "The issue is currently being worked on.",
-     *              "iconUrl": "http://localhostname:8090/jira/images/icons/progress.gif",
-     *              "name": "In Progress",
-     *              "id": "10000"
-     *          },
-     *          "fields": {
-     *              "summary": {
-     *                  "required": false,
-     *                  "schema": {
-     *                      "type": "array",
-     *                      "items": "option",
-     *                      "custom": "com.atlassian.jira.plugin.system.customfieldtypes:multiselect",
-     *                      "customId": 10001
-     *                  },
-     *                  "name": "My Multi Select",
-     *                  "operations": [
-     *                      "set",
-     *                      "add"
-     *                  ],
-     *                  "allowedValues": [
-     *                      "red",
-     *                      "blue"
-     *                  ]
-     *              }
-     *          }
+     *      "body": "Lorem ipsum dolor sit amet.",
+     *      "visibility": {
+     *          "type": "role",
+     *          "value": "Administrators"
      *      }
-     *  ]}
+     *  }
      */
-    this.listTransitions = function(issueId, callback) {
-        var self = this;
+    this.addComment = function(issueId, comment, visibility, callback) {
+        if (typeof visibility === 'function') {
+            callback = visibility;
+            visibility = null;
+        }
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issue/' + issueId + '/transitions'
-                }),
-                method: 'GET',
-                json: true,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/comment'),
+            body: commentBody(comment, visibility),
+            method: 'POST',
+            json: true
+        };
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 200) {
-                    callback(null, body.transitions);
-                    return;
-                }
-                if (response.statusCode === 404) {
-                    callback("Issue not found");
-                }
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 201) {
+                callback(null, body);
+                return;
+            }
+            if (response.statusCode === 400) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid comment.'));
+                return;
+            }
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'Insufficient Permissions'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while adding comment.'));
+        });
+    };
+    // ## Update a comment ##
+    // ### Takes ###
+    // *  issueId: Issue the comment belongs to
+    // *  commentId: id of the comment
+    // *  comment: the new text of the comment, or a comment object
+    // *  visibility: optional restriction of who can see the comment
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  the comment as updated
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue/{issueIdOrKey}/comment)
+    this.updateComment = function(issueId, commentId, comment, visibility, callback) {
+        if (typeof visibility === 'function') {
+            callback = visibility;
+            visibility = null;
+        }
+
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/comment/' + commentId),
+            body: commentBody(comment, visibility),
+            method: 'PUT',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
-                callback(response.statusCode + ': Error while updating');
-            });
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            if (response.statusCode === 400) {
+                callback(JiraError.fromResponse(options, response, body, 'Invalid comment.'));
+                return;
+            }
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'Insufficient Permissions'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while updating comment.'));
         });
     };
-    // ## Transition issue in Jira ##
+    // ## Delete a comment ##
     // ### Takes ###
-    //
-    // *  issueId: the Id of the issue to delete
-    // *  issueTransition: transition Object
+    // *  issueId: Issue the comment belongs to
+    // *  commentId: id of the comment
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error string
+    // *  error: a `JiraError`
     // *  success string
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id290489)
-    this.transitionIssue = function(issueNum, issueTransition, callback) {
-        var self = this;
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue/{issueIdOrKey}/comment)
+    this.deleteComment = function(issueId, commentId, callback) {
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/comment/' + commentId),
+            method: 'DELETE',
+            json: true
+        };
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issue/' + issueNum + '/transitions'
-                }),
-                body: issueTransition,
-                method: 'POST',
-                json: true,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 204) {
-                    callback(null, "Success");
-                    return;
-                }
-                callback(response.statusCode + ': Error while updating');
-            });
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'Insufficient Permissions'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while deleting comment.'));
         });
     };
-    
-    // ## List all Viewable Projects ##
+    // ## Attach a file to an issue ##
     // ### Takes ###
-    //
+    // *  issueId: Issue to attach the file to
+    // *  file: path of the file, a `Buffer` or a readable stream
+    // *  filename: name for the attachment, defaults to the name of the file
+    //    at `file`
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error string
-    // *  array of projects
+    // *  error: a `JiraError`
+    // *  array of the attachments created
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id289193)
-    /*
-     * Result items are in the format:
-     * {
-     *      "self": "http://www.example.com/jira/rest/api/2/project/ABC",
-     *      "id": "10001",
-     *      "key": "ABC",
-     *      "name": "Alphabetical",
-     *      "avatarUrls": {
-     *          "16x16": "http://www.example.com/jira/secure/projectavatar?size=small&pid=10001",
-     *          "48x48": "http://www.example.com/jira/secure/projectavatar?size=large&pid=10001"
-     *      }
-     * }
-     */
-    this.listProjects = function(callback) {
-        var self = this;
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/issue/{issueIdOrKey}/attachments)
+    this.addAttachment = function(issueId, file, filename, callback) {
+        if (typeof filename === 'function') {
+            callback = filename;
+            filename = null;
+        }
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/project'
-                }),
-                method: 'GET',
-                json: true,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+        if (typeof file === 'string') filename = filename || path.basename(file);
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 200) {
-                    callback(null, body);
-                    return;
-                }
-                if (response.statusCode === 500) {
-                    callback(response.statusCode + ': Error while retrieving list.');
-                }
+        // Files are opened again for each attempt; a stream can only be
+        // sent once.
+        var options = {
+            uri: this.makeUri('/issue/' + issueId + '/attachments'),
+            method: 'POST',
+            json: true,
+            replayable: !(file && typeof file.pipe === 'function'),
+            headers: {
+                'X-Atlassian-Token': 'no-check'
+            },
+            formData: function() {
+                return {
+                    file: {
+                        value: typeof file === 'string' ? fs.createReadStream(file) : file,
+                        options: {
+                            filename: filename || 'attachment'
+                        }
+                    }
+                };
+            }
+        };
 
-                callback(response.statusCode + ': Error while updating');
-            });
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'Insufficient Permissions'));
+                return;
+            }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Issue not found or attachments are disabled'));
+                return;
+            }
+            if (response.statusCode === 413) {
+                callback(JiraError.fromResponse(options, response, body, 'Attachment is too large'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while adding attachment.'));
         });
     };
-    // ## Add a worklog to a project ##
+    // ## List the attachments of an issue ##
     // ### Takes ###
-    // *  issueId: Issue to add a worklog to
-    // *  worklog: worklog object
+    // *  issueId: Issue to list the attachments of
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error string
-    // *  success string
+    // *  error: a `JiraError`
+    // *  array of attachments, as found in `findIssue` results
+    this.listAttachments = function(issueId, callback) {
+        this.findIssue(issueId, ['attachment'], function(error, issue) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            callback(null, issue.fields.attachment || []);
+        });
+    };
+    // ## Get an attachment ##
+    // ### Takes ###
+    // *  attachmentId: id of the attachment
+    // *  callback: for when it's done
     //
-    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id291617)
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  the attachment, its `content` is the url of the file
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/attachment)
     /*
-     * Worklog item is in the format:
+     * Attachment item is in the format:
      *  {
-     *      "self": "http://www.example.com/jira/rest/api/2.0/issue/10010/worklog/10000",
+     *      "self": "http://www.example.com/jira/rest/api/2.0/attachments/10000",
+     *      "filename": "picture.jpg",
      *      "author": {
      *          "self": "http://www.example.com/jira/rest/api/2.0/user?username=fred",
      *          "name": "fred",
      *          "displayName": "Fred F. User",
      *          "active": false
      *      },
-     *      "updateAuthor": {
-     *          "self": "http://www.example.com/jira/rest/api/2.0/user?username=fred",
-     *          "name": "fred",
-     *          "displayName": "Fred F. User",
-     *          "active": false
-     *      },
-     *      "comment": "I did some work here.",
-     *      "visibility": {
-     *          "type": "group",
-     *          "value": "jira-developers"
-     *      },
-     *      "started": "2012-11-22T04:19:46.736-0600",
-     *      "timeSpent": "3h 20m",
-     *      "timeSpentSeconds": 12000,
-     *      "id": "100028"
+     *      "created": "2012-11-22T04:19:46.736-0600",
+     *      "size": 23123,
+     *      "mimeType": "image/jpeg",
+     *      "content": "http://www.example.com/jira/attachments/10000",
+     *      "thumbnail": "http://www.example.com/jira/secure/thumbnail/10000"
      *  }
      */
-    this.addWorklog = function(issueId, worklog, callback) {
-        var self = this;
+    this.getAttachment = function(attachmentId, callback) {
+        var options = {
+            uri: this.makeUri('/attachment/' + attachmentId),
+            method: 'GET',
+            json: true
+        };
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issue/' + issueId + '/worklog'
-                }),
-                body: worklog,
-                method: 'POST',
-                json: true,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 201) {
-                    callback(null, "Success");
-                    return;
-                }
-                if (response.statusCode === 400) {
-                    callback("Invalid Fields: " + JSON.stringify(body));
-                    return;
-                }
-                if (response.statusCode === 403) {
-                    callback("Insufficient Permissions");
-                    return;
-                }
-                callback(response.statusCode + ': Error while updating');
-            });
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Attachment not found'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving attachment.'));
+        });
+    };
+    // ## Download an attachment ##
+    // ### Takes ###
+    // *  attachment: an attachment from `getAttachment` or `listAttachments`,
+    //    or the id of one
+    //
+    // ### Returns ###
+    // *  a readable stream of the file, destroyed with a `JiraError` when the
+    //    download fails
+    //
+    //     jira.downloadAttachment(attachment).pipe(fs.createWriteStream(attachment.filename));
+    this.downloadAttachment = function(attachment) {
+        if (typeof attachment === 'object') {
+            return this.doStreamRequest({ uri: attachment.content, method: 'GET' });
+        }
+
+        var self = this,
+            stream = new PassThrough();
+
+        this.getAttachment(attachment, function(error, found) {
+            if (error) {
+                stream.destroy(error);
+                return;
+            }
+
+            self.downloadAttachment(found)
+                .on('error', function(error) {
+                    stream.destroy(error);
+                })
+                .pipe(stream);
+        });
+
+        return stream;
+    };
+    // ## Delete an attachment ##
+    // ### Takes ###
+    // *  attachmentId: id of the attachment
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  success string
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/attachment)
+    this.deleteAttachment = function(attachmentId, callback) {
+        var options = {
+            uri: this.makeUri('/attachment/' + attachmentId),
+            method: 'DELETE',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 204) {
+                callback(null, "Success");
+                return;
+            }
+            if (response.statusCode === 403) {
+                callback(JiraError.fromResponse(options, response, body, 'Insufficient Permissions'));
+                return;
+            }
+            if (response.statusCode === 404) {
+                callback(JiraError.fromResponse(options, response, body, 'Attachment not found'));
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while deleting attachment.'));
         });
     };
     // ## List all Issue Types ##
@@ -1064,7 +4792,7 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
     // *  callback: for when it's done
     //
     // ### Returns ###
-    // *  error string
+    // *  error: a `JiraError`
     // *  array of types
     //
     // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#id295946)
@@ -1080,31 +4808,289 @@ var JiraApi = exports.JiraApi = function(protocol, host, port, username, passwor
      * }
      */
     this.listIssueTypes = function(callback) {
+        var options = {
+            uri: this.makeUri('/issuetype'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving issue types.'));
+        });
+    };
+
+    // ## List all Fields ##
+    // ### Takes ###
+    //
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  array of fields, system and custom
+    //
+    // [Jira Doc](http://docs.atlassian.com/jira/REST/latest/#api/2/field)
+    /*
+     * Result items are in the format:
+     * {
+     *  "id": "customfield_10104",
+     *  "name": "Story Points",
+     *  "custom": true,
+     *  "orderable": true,
+     *  "navigable": true,
+     *  "searchable": true,
+     *  "clauseNames": ["cf[10104]", "Story Points"],
+     *  "schema": {
+     *      "type": "number",
+     *      "custom": "com.atlassian.jira.plugin.system.customfieldtypes:float",
+     *      "customId": 10104
+     *  }
+     * }
+     */
+    this.listFields = function(callback) {
+        var options = {
+            uri: this.makeUri('/field'),
+            method: 'GET',
+            json: true
+        };
+
+        this.doRequest(options, function(error, response, body) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (response.statusCode === 200) {
+                callback(null, body);
+                return;
+            }
+            callback(JiraError.fromResponse(options, response, body, 'Error while retrieving fields.'));
+        });
+    };
+
+    // ## Get the field registry ##
+    // ### Takes ###
+    //
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  registry: a `FieldRegistry` of every field, see `lib/fields.js`
+    //
+    // The fields are fetched once; set `fieldRegistry` to null to fetch them
+    // again after fields were added.
+    this.getFieldRegistry = function(callback) {
+        if (this.fieldRegistry) {
+            callback(null, this.fieldRegistry);
+            return;
+        }
+
+        if (this.fieldRegistryCallbacks) {
+            this.fieldRegistryCallbacks.push(callback);
+            return;
+        }
+
         var self = this;
+        this.fieldRegistryCallbacks = [callback];
+        this.listFields(function(error, fields) {
+            var callbacks = self.fieldRegistryCallbacks;
+            self.fieldRegistryCallbacks = null;
+            if (!error) self.fieldRegistry = new FieldRegistry(fields);
+            for (var i = 0; i < callbacks.length; i++) {
+                callbacks[i](error, self.fieldRegistry);
+            }
+        });
+    };
 
-        this.login(function() {
-            var options = {
-                uri: url.format({
-                    protocol:  self.protocol,
-                    hostname: self.host,
-                    port: self.port,
-                    pathname: 'rest/api/' + self.apiVersion + '/issuetype'
-                }),
-                method: 'GET',
-                json: true,
-                headers: {
-                    Cookie: self.cookies.join(';')
-                }
-            };
+    // ## Get the field registry if field names are used ##
+    // ### Takes ###
+    //
+    // *  keys: array of field names or ids
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  registry: the `FieldRegistry`, null when every key is an id
+    this.withFieldRegistry = function(keys, callback) {
+        if (!fieldNames.needsRegistry(keys)) {
+            callback(null, null);
+            return;
+        }
+        this.getFieldRegistry(callback);
+    };
 
-            request(options, function(error, response, body) {
-                if (response.statusCode === 200) {
-                    callback(null, body);
+    // ## Translate the field names of an issue payload ##
+    // ### Takes ###
+    //
+    // *  issue: an issue create or update payload
+    // *  callback: for when it's done
+    //
+    // ### Returns ###
+    // *  error: a `JiraError`
+    // *  issue: the payload with its `fields` and `update` keyed by ids
+    this.resolveFieldNames = function(issue, callback) {
+        var keys = Object.keys(issue.fields || {}).concat(Object.keys(issue.update || {}));
+
+        this.withFieldRegistry(keys, function(error, registry) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            if (!registry) {
+                callback(null, issue);
+                return;
+            }
+
+            try {
+                issue = registry.translateIssue(issue);
+            } catch (e) {
+                callback(e);
+                return;
+            }
+            callback(null, issue);
+        });
+    };
+
+}).call(JiraApi.prototype);
+
+exports.JiraError = JiraError;
+exports.jql = jql;
+
+// ## Promises ##
+//
+// Every API call takes a trailing `callback(error, result)`. Leave the
+// callback off and the call returns a Promise for the result instead:
+//
+//     var issue = await jira.findIssue('ABC-1');
+//
+// The callback is always the last declared parameter, so optional
+// parameters left out of a promise call are filled in with `undefined`.
+var promised = function(method) {
+    return function() {
+        var args = Array.prototype.slice.call(arguments);
+        if (typeof args[args.length - 1] === 'function') {
+            return method.apply(this, args);
+        }
+
+        var self = this;
+        args = args.slice(0, method.length - 1);
+        while (args.length < method.length - 1) args.push(undefined);
+
+        return new Promise(function(resolve, reject) {
+            args.push(function(error, result) {
+                if (error) {
+                    reject(error);
                     return;
                 }
-                callback(response.statusCode + ': Error while retreiving issue types');
+                resolve(result);
             });
+            method.apply(self, args);
         });
     };
+};
 
-}).call(JiraApi.prototype);
+[
+    'login',
+    'findIssue',
+    'getChangelog',
+    'getTimeInStatus',
+    'getUnresolvedIssueCount',
+    'getProject',
+    'findRapidView',
+    'getLastSprintForRapidView',
+    'addIssueToSprint',
+    'rankIssues',
+    'listBoards',
+    'getBoard',
+    'getBoardConfiguration',
+    'listSprints',
+    'getActiveSprint',
+    'createSprint',
+    'updateSprint',
+    'startSprint',
+    'completeSprint',
+    'moveIssuesToSprint',
+    'moveIssuesToBacklog',
+    'getEpicLinkField',
+    'listEpics',
+    'getEpicIssues',
+    'moveIssuesToEpic',
+    'removeIssuesFromEpic',
+    'setEpicLink',
+    'issueLink',
+    'listIssueLinkTypes',
+    'findIssueLinkType',
+    'getIssueLink',
+    'deleteIssueLink',
+    'getRemoteLinks',
+    'addRemoteLink',
+    'deleteRemoteLink',
+    'getIssueGraph',
+    'getWatchers',
+    'addWatcher',
+    'removeWatcher',
+    'getVotes',
+    'addVote',
+    'removeVote',
+    'getVersions',
+    'createVersion',
+    'updateVersion',
+    'releaseVersion',
+    'archiveVersion',
+    'deleteVersion',
+    'moveVersion',
+    'getVersionRelatedIssueCounts',
+    'listComponents',
+    'createComponent',
+    'updateComponent',
+    'deleteComponent',
+    'getComponentIssueCount',
+    'getProjectRoles',
+    'addActorToRole',
+    'searchJira',
+    'searchAll',
+    'getUsersIssues',
+    'findUsers',
+    'getUser',
+    'getAssignableUsers',
+    'getMyself',
+    'getGroupMembers',
+    'addNewIssue',
+    'addNewIssues',
+    'deleteIssue',
+    'updateIssue',
+    'listTransitions',
+    'transitionIssue',
+    'transitionIssueTo',
+    'bulkUpdate',
+    'listProjects',
+    'addWorklog',
+    'getWorklogs',
+    'updateWorklog',
+    'deleteWorklog',
+    'getTimesheet',
+    'getComments',
+    'addComment',
+    'updateComment',
+    'deleteComment',
+    'addAttachment',
+    'listAttachments',
+    'getAttachment',
+    'deleteAttachment',
+    'listIssueTypes',
+    'listFields',
+    'getFieldRegistry',
+    'getCreateMeta',
+    'validateIssue'
+].forEach(function(name) {
+    JiraApi.prototype[name] = promised(JiraApi.prototype[name]);
+});
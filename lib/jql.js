@@ -0,0 +1,265 @@
+// # JQL builder #
+//
+// Builds JQL queries with every value quoted and escaped, so names with
+// spaces or quotes, or values typed in by users, can't change the query.
+//
+//     var jql = require('jira').jql;
+//
+//     var query = jql.and(
+//         jql.field('project').eq('ABC'),
+//         jql.field('assignee').eq(jql.currentUser()),
+//         jql.or(
+//             jql.field('status').in(['Open', 'In Progress']),
+//             jql.field('priority').eq('Blocker')
+//         )
+//     ).orderBy('updated', 'DESC');
+//
+//     jira.searchJira(query, null, callback);
+//
+// gives `project = "ABC" AND assignee = currentUser() AND (status in
+// ("Open", "In Progress") OR priority = "Blocker") ORDER BY updated DESC`.
+//
+// Strings and numbers are values. `jql.fn`, `jql.currentUser()`,
+// `jql.EMPTY` and `jql.raw` are put into the query as they are.
+
+// ## Quote a value ##
+// ### Takes ###
+//
+// *  value: a string, number, or a raw value from `jql.fn` or `jql.raw`;
+//    `null` and `undefined` throw, use `jql.EMPTY` to match empty fields
+//
+// ### Returns ###
+//
+// *  the value as JQL
+var quote = exports.quote = function(value) {
+    if (value == null) throw new Error('JQL value is ' + value + ', use jql.EMPTY for empty fields');
+    if (value instanceof Raw) return value.text;
+    if (typeof value === 'number') return String(value);
+
+    return '"' + String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t') + '"';
+};
+
+// Words that mean something in JQL, so can't be bare field names.
+var keywords = ['and', 'or', 'not', 'empty', 'null', 'order', 'by', 'in', 'is', 'was', 'changed', 'asc', 'desc'];
+
+// ## Quote a field name ##
+// ### Takes ###
+//
+// *  name: a field id like `assignee` or `cf[10008]`, or a name like
+//    `Story Points`
+//
+// ### Returns ###
+//
+// *  the field name as JQL; names that are JQL keywords, like `order`, are
+//    quoted too
+var quoteField = exports.quoteField = function(name) {
+    if (/^cf\[\d+\]$/.test(name)) return name;
+    if (/^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) && keywords.indexOf(name.toLowerCase()) === -1) return name;
+    return quote(name);
+};
+
+// ## Raw JQL ##
+// Text that goes into the query unquoted.
+var Raw = exports.Raw = function(text) {
+    this.text = text;
+};
+
+Raw.prototype.toString = function() {
+    return this.text;
+};
+
+exports.raw = function(text) {
+    return new Raw(text);
+};
+
+exports.EMPTY = new Raw('EMPTY');
+exports.NULL = new Raw('NULL');
+
+// ## Functions ##
+// ### Takes ###
+//
+// *  name: the JQL function, e.g. `membersOf`
+// *  any further arguments are quoted and passed to the function
+//
+// ### Returns ###
+//
+// *  the call, e.g. `membersOf("jira-users")`
+exports.fn = function(name) {
+    var args = Array.prototype.slice.call(arguments, 1).map(quote);
+    return new Raw(name + '(' + args.join(', ') + ')');
+};
+
+exports.currentUser = function() {
+    return exports.fn('currentUser');
+};
+
+exports.now = function() {
+    return exports.fn('now');
+};
+
+exports.openSprints = function() {
+    return exports.fn('openSprints');
+};
+
+// ## Clauses ##
+// A condition, or a group of conditions. Clauses combine with `and`, `or`
+// and `orderBy`.
+var Clause = exports.Clause = function(text, compound) {
+    this.text = text;
+    this.compound = !!compound;
+};
+
+(function() {
+    this.and = function() {
+        return exports.and.apply(null, [this].concat(Array.prototype.slice.call(arguments)));
+    };
+
+    this.or = function() {
+        return exports.or.apply(null, [this].concat(Array.prototype.slice.call(arguments)));
+    };
+
+    this.orderBy = function(field, direction) {
+        return new Query(this).orderBy(field, direction);
+    };
+
+    // Groups need parentheses when they are part of another group.
+    this.grouped = function() {
+        return this.compound ? '(' + this.text + ')' : this.text;
+    };
+
+    this.toString = function() {
+        return this.text;
+    };
+}).call(Clause.prototype);
+
+// A query with `ORDER BY` can't be part of another clause.
+var checkClause = function(clause) {
+    if (clause instanceof Query) {
+        throw new Error('JQL with ORDER BY cannot be combined with other clauses, order the combined clause instead');
+    }
+};
+
+var group = function(operator, clauses) {
+    clauses = clauses.filter(function(clause) {
+        return clause != null;
+    });
+    clauses.forEach(checkClause);
+    if (clauses.length === 0) return null;
+    if (clauses.length === 1) return clauses[0];
+
+    return new Clause(clauses.map(function(clause) {
+        return clause.grouped();
+    }).join(' ' + operator + ' '), true);
+};
+
+// Every clause given has to match. Accepts clauses or an array of them;
+// `null`s are skipped, which helps with optional conditions, and a group
+// with no clauses left is `null` too.
+exports.and = function() {
+    var clauses = arguments[0] instanceof Array ? arguments[0] : Array.prototype.slice.call(arguments);
+    return group('AND', clauses);
+};
+
+// Any clause given has to match.
+exports.or = function() {
+    var clauses = arguments[0] instanceof Array ? arguments[0] : Array.prototype.slice.call(arguments);
+    return group('OR', clauses);
+};
+
+// Negates a clause; `null`, as from an empty group, stays `null`.
+exports.not = function(clause) {
+    if (clause == null) return null;
+    checkClause(clause);
+    return new Clause('NOT ' + clause.grouped());
+};
+
+// ## Fields ##
+// `jql.field('status').in(['Open', 'Reopened'])` and friends.
+var Field = exports.Field = function(name) {
+    this.name = name;
+};
+
+(function() {
+    var operators = {
+        eq: '=',
+        ne: '!=',
+        gt: '>',
+        gte: '>=',
+        lt: '<',
+        lte: '<=',
+        contains: '~',
+        notContains: '!~',
+        is: 'is',
+        isNot: 'is not',
+        was: 'was',
+        wasNot: 'was not'
+    };
+
+    Object.keys(operators).forEach(function(method) {
+        this[method] = function(value) {
+            return new Clause(quoteField(this.name) + ' ' + operators[method] + ' ' + quote(value));
+        };
+    }, this);
+
+    var list = function(operator) {
+        return function(values) {
+            if (values instanceof Raw) return new Clause(quoteField(this.name) + ' ' + operator + ' ' + values.text);
+            if (!(values instanceof Array)) {
+                throw new Error('JQL ' + operator + ' takes an array of values or a raw value, not ' + typeof values);
+            }
+            if (values.length === 0) throw new Error('JQL ' + operator + ' needs at least one value');
+            return new Clause(quoteField(this.name) + ' ' + operator + ' (' + values.map(quote).join(', ') + ')');
+        };
+    };
+
+    this['in'] = list('in');
+    this.notIn = list('not in');
+    this.wasIn = list('was in');
+    this.wasNotIn = list('was not in');
+}).call(Field.prototype);
+
+exports.field = function(name) {
+    return new Field(name);
+};
+
+// ## Queries ##
+// A clause with an `ORDER BY`.
+var Query = exports.Query = function(clause) {
+    this.clause = clause;
+    this.order = [];
+};
+
+(function() {
+    // ### Takes ###
+    //
+    // *  field: field to sort by
+    // *  direction: optional `'ASC'` or `'DESC'`
+    this.orderBy = function(field, direction) {
+        var sort = quoteField(field);
+        if (direction) {
+            direction = direction.toUpperCase();
+            if (direction !== 'ASC' && direction !== 'DESC') {
+                throw new Error('JQL sort direction must be ASC or DESC, not ' + direction);
+            }
+            sort += ' ' + direction;
+        }
+        this.order.push(sort);
+        return this;
+    };
+
+    this.toString = function() {
+        var text = this.clause ? this.clause.toString() : '';
+        if (this.order.length > 0) text += (text ? ' ' : '') + 'ORDER BY ' + this.order.join(', ');
+        return text;
+    };
+}).call(Query.prototype);
+
+// Sorts every issue, with no condition.
+exports.orderBy = function(field, direction) {
+    return new Query(null).orderBy(field, direction);
+};
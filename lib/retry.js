@@ -0,0 +1,91 @@
+// # Retry policy #
+//
+// `JiraApi` retries requests that JIRA answers with 429 or a 5xx status.
+// Configure it with the `retry` option of the `JiraApi` constructor, or pass
+// `retry: false` to turn it off:
+//
+//     var jira = new JiraApi('https', host, port, user, password, '2', false, {
+//         retry: {
+//             maxAttempts: 5,
+//             methods: ['GET', 'PUT', 'DELETE', 'POST'],
+//             onRetry: function(retry) { console.log('Retrying', retry.url); }
+//         }
+//     });
+//
+// *  maxAttempts: attempts in total, including the first one, at least 1,
+//    defaults to 3
+// *  minDelay: milliseconds before the first retry, defaults to 500
+// *  maxDelay: longest wait between attempts, defaults to 30000
+// *  factor: how much the delay grows with each attempt, defaults to 2
+// *  jitter: `boolean` randomize each delay by up to half, defaults to true
+// *  methods: HTTP methods retried, defaults to the idempotent ones. Add
+//    `'POST'` to retry calls like `addNewIssue`, which may then create an
+//    issue twice. POSTs that only read, like `searchJira`, are always
+//    retried.
+// *  onRetry: called with `{ attempt, maxAttempts, delay, statusCode,
+//    method, url }` before each retry
+//
+// A `Retry-After` header from JIRA replaces the computed delay, up to
+// `maxDelay`.
+var RetryPolicy = exports.RetryPolicy = function(config) {
+    config = config || {};
+
+    this.maxAttempts = config.maxAttempts != null ? Math.max(config.maxAttempts, 1) : 3;
+    this.minDelay = config.minDelay != null ? config.minDelay : 500;
+    this.maxDelay = config.maxDelay != null ? config.maxDelay : 30000;
+    this.factor = config.factor != null ? config.factor : 2;
+    this.jitter = config.jitter !== false;
+    this.methods = config.methods || ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+    this.onRetry = config.onRetry || function() {};
+};
+
+(function() {
+    // ## Decide whether to retry a response ##
+    // ### Takes ###
+    //
+    // *  options: the `request` options, `idempotent: true` marks a POST that
+    //    is safe to repeat
+    // *  response: the response JIRA sent
+    // *  attempt: number of the attempt that got the response, from 1
+    //
+    // ### Returns ###
+    //
+    // *  milliseconds to wait before retrying, or -1 to give up
+    this.delayFor = function(options, response, attempt) {
+        var status = response.statusCode;
+
+        if (status !== 429 && status < 500) return -1;
+        if (attempt >= this.maxAttempts) return -1;
+        if (!options.idempotent && this.methods.indexOf(options.method || 'GET') === -1) return -1;
+
+        var retryAfter = this.parseRetryAfter(response.headers['retry-after']);
+        if (retryAfter >= 0) return Math.min(retryAfter, this.maxDelay);
+
+        var delay = Math.min(this.minDelay * Math.pow(this.factor, attempt - 1), this.maxDelay);
+        if (this.jitter) delay = delay / 2 + Math.random() * delay / 2;
+        return Math.round(delay);
+    };
+
+    // ## Read a Retry-After header ##
+    // ### Takes ###
+    //
+    // *  header: seconds or an HTTP date
+    //
+    // ### Returns ###
+    //
+    // *  milliseconds to wait, or -1 without a usable header
+    this.parseRetryAfter = function(header) {
+        if (!header) return -1;
+
+        if (/^\d+$/.test(header)) return parseInt(header, 10) * 1000;
+
+        var date = Date.parse(header);
+        if (isNaN(date)) return -1;
+        return Math.max(date - Date.now(), 0);
+    };
+}).call(RetryPolicy.prototype);
+
+// ## A policy that never retries ##
+exports.never = {
+    delayFor: function() { return -1; }
+};
@@ -0,0 +1,143 @@
+// # Issue validation #
+//
+// Checks a new issue against the create metadata JIRA reports for its
+// project and issue type (`issue/createmeta`), so mistakes are found before
+// anything is posted:
+//
+// *  required fields without a default have to be set
+// *  fields have to be on the create screen
+// *  values have to be of the field's type
+// *  selects, versions, components and the like have to use one of their
+//    allowed values
+//
+// The report is `{ valid, errors }`, with `errors` keyed by field like
+// JIRA's own.
+
+// ## Describe an allowed value ##
+var describe = function(allowed) {
+    return allowed.name || allowed.value || allowed.key || allowed.id;
+};
+
+// ## Check a value against the allowed values ##
+// Values are matched on `id`, `name`, `value` or `key`, whichever the value
+// has.
+var isAllowed = function(value, allowedValues) {
+    if (value === null || typeof value !== 'object') return false;
+
+    for (var i = 0; i < allowedValues.length; i++) {
+        var allowed = allowedValues[i];
+        var keys = ['id', 'name', 'value', 'key'];
+        for (var j = 0; j < keys.length; j++) {
+            var key = keys[j];
+            if (value[key] != null && allowed[key] != null && String(value[key]) === String(allowed[key])) return true;
+        }
+    }
+    return false;
+};
+
+// ## Check a single value ##
+// ### Takes ###
+//
+// *  type: the schema type, e.g. `string`, `number` or `option`
+// *  value: the value given for the field
+// *  allowedValues: the allowed values of the field, if it has any
+//
+// ### Returns ###
+//
+// *  what is wrong with the value, null when nothing is
+var checkValue = function(type, value, allowedValues) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' ? null : 'Expected a string.';
+        case 'number':
+            return typeof value === 'number' ? null : 'Expected a number.';
+        case 'date':
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? null : 'Expected a date as YYYY-MM-DD.';
+        case 'datetime':
+            return typeof value === 'string' && !isNaN(Date.parse(value)) ? null : 'Expected a date and time.';
+        case 'any':
+            return null;
+    }
+
+    if (value === null || typeof value !== 'object' || value instanceof Array) return 'Expected an object.';
+    if (allowedValues && !isAllowed(value, allowedValues)) {
+        return 'Not one of the allowed values: ' + allowedValues.map(describe).join(', ') + '.';
+    }
+    return null;
+};
+
+// ## Check whether a value was given ##
+var isEmpty = function(value) {
+    return value == null || value === '' || (value instanceof Array && value.length === 0);
+};
+
+// ## Validate a new issue ##
+// ### Takes ###
+//
+// *  meta: the create metadata of the issue type, with `fields` keyed by id
+// *  issue: the new issue, its `fields` and `update` keyed by id; a field
+//    set through `update` counts as given, but only `fields` are checked
+//    for type and allowed values
+// *  keys: optional, the key the caller used for each field id, so errors
+//    are reported under field names when names were used
+//
+// ### Returns ###
+//
+// *  report: `{ valid, errors }`
+exports.validateIssue = function(meta, issue, keys) {
+    var fields = issue.fields || {},
+        update = issue.update || {},
+        errors = {},
+        valid = true,
+        id;
+
+    keys = keys || {};
+    var report = function(id, message) {
+        errors[keys[id] || id] = message;
+        valid = false;
+    };
+
+    for (id in meta.fields) {
+        var field = meta.fields[id];
+        if (field.required && !field.hasDefaultValue && isEmpty(fields[id]) && !update[id]) {
+            report(id, (field.name || id) + ' is required.');
+        }
+    }
+
+    for (id in update) {
+        if (!meta.fields[id]) report(id, 'Not on the create screen of this issue type.');
+    }
+
+    for (id in fields) {
+        var fieldMeta = meta.fields[id],
+            value = fields[id];
+
+        if (!fieldMeta) {
+            report(id, 'Not on the create screen of this issue type.');
+            continue;
+        }
+        if (isEmpty(value)) continue;
+
+        var schema = fieldMeta.schema || {},
+            problem = null;
+
+        if (schema.type === 'array') {
+            if (!(value instanceof Array)) {
+                problem = 'Expected an array.';
+            } else {
+                for (var i = 0; i < value.length && !problem; i++) {
+                    problem = checkValue(schema.items, value[i], fieldMeta.allowedValues);
+                }
+            }
+        } else {
+            problem = checkValue(schema.type, value, fieldMeta.allowedValues);
+        }
+
+        if (problem) report(id, problem);
+    }
+
+    return {
+        valid: valid,
+        errors: errors
+    };
+};